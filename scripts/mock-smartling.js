@@ -0,0 +1,150 @@
+import http from "http";
+import { pathToFileURL } from "url";
+
+const DEFAULT_PORT = 8765;
+
+/**
+ * Mock of the parts of the Smartling API used by the action, for trying it locally with the smartling-base-url input,
+ * e.g., `npm run mock`, then `smartling-base-url: http://localhost:8765`.
+ * Failures are queued with `fail(...)`, or the MOCK_FAILURES variable, e.g., "429,503,401", and each is returned for the
+ * next API request: a status (429 and 503 with Retry-After), "html" for a 502 HTML page, or "close" to drop the connection.
+ */
+export function createMockServer(failures = []) {
+    const queue = [...failures];
+    const requests = [];
+    let tokens = 0;
+
+    const server = http.createServer(async (req, res) => {
+        // Bodies are not checked, but read before responding
+        for await (const chunk of req) chunk;
+
+        const url = new URL(req.url, "http://localhost");
+        const endpoint = `${req.method} ${url.pathname}`;
+        requests.push(endpoint);
+
+        const send = (status, json, headers = {}) => {
+            res.writeHead(status, {
+                "Content-Type": "application/json",
+                ...headers,
+            });
+            res.end(JSON.stringify(json));
+        };
+        const success = data =>
+            send(200, { response: { code: "SUCCESS", data } });
+
+        const isAuth = url.pathname.startsWith("/auth-api/");
+        const failure = isAuth ? null : queue.shift();
+
+        if (failure === "close") return req.socket.destroy();
+        if (failure === "html") {
+            res.writeHead(502, { "Content-Type": "text/html" });
+            return res.end("<html><body>Bad gateway</body></html>");
+        }
+        if (failure) {
+            const status = Number(failure);
+            const key = status === 401 ? "invalid_token" : "mock.failure";
+            return send(
+                status,
+                {
+                    response: {
+                        code: "ERROR",
+                        errors: [{ key, message: `Mock ${status} failure` }],
+                    },
+                },
+                status === 429 || status === 503 ? { "Retry-After": "0" } : {}
+            );
+        }
+
+        if (isAuth) {
+            tokens++;
+            return success({
+                accessToken: `token-${tokens}`,
+                refreshToken: `refresh-${tokens}`,
+                expiresIn: 480,
+                refreshExpiresIn: 3660,
+            });
+        }
+
+        // Requests must carry the latest token
+        if (req.headers.authorization !== `Bearer token-${tokens}`) {
+            return send(401, {
+                response: {
+                    code: "AUTHENTICATION_ERROR",
+                    errors: [
+                        { key: "invalid_token", message: "Invalid token" },
+                    ],
+                },
+            });
+        }
+
+        const path = url.pathname;
+
+        if (path.endsWith("/jobs") && req.method === "GET") {
+            return success({ items: [], totalCount: 0 });
+        } else if (path.endsWith("/jobs")) {
+            return success({ translationJobUid: "job1" });
+        } else if (/\/jobs\/[^/]+\/files$/.test(path)) {
+            return success({
+                items: [{ uri: "docs/en/intro.mdx" }],
+                totalCount: 1,
+            });
+        } else if (/\/jobs\/[^/]+\/progress$/.test(path)) {
+            return success({
+                progress: { percentComplete: 100, totalWordCount: 10 },
+            });
+        } else if (/\/jobs\/[^/]+$/.test(path)) {
+            return success({
+                translationJobUid: "job1",
+                jobName: "Mock job",
+                jobStatus: "IN_PROGRESS",
+                targetLocaleIds: ["ja-JP"],
+            });
+        } else if (path.endsWith("/batches")) {
+            return success({ batchUid: "batch1" });
+        } else if (/\/batches\/[^/]+$/.test(path) && req.method === "GET") {
+            return success({ status: "COMPLETED" });
+        } else if (path.endsWith("/file/status")) {
+            return success({
+                totalStringCount: 1,
+                items: [{ localeId: "ja-JP", completedStringCount: 1 }],
+            });
+        } else if (path.includes("/locales/")) {
+            return send(200, { strings: [] });
+        } else if (path.endsWith("/contexts")) {
+            return success({ contextUid: "context1" });
+        } else if (
+            path.endsWith("/files/list") ||
+            path.endsWith("/source-strings")
+        ) {
+            return success({ items: [], totalCount: 0 });
+        }
+
+        return success({});
+    });
+
+    return {
+        server,
+        requests,
+        fail: (...next) => queue.push(...next),
+        listen: (port = 0) =>
+            new Promise(resolve =>
+                server.listen(port, () => resolve(server.address().port))
+            ),
+        close: () =>
+            new Promise(resolve => {
+                server.close(resolve);
+                server.closeAllConnections();
+            }),
+    };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const failures = (process.env.MOCK_FAILURES ?? "")
+        .split(",")
+        .filter(Boolean);
+    const mock = createMockServer(failures);
+    const port = await mock.listen(Number(process.env.PORT) || DEFAULT_PORT);
+
+    mock.server.on("request", req => console.log(`${req.method} ${req.url}`));
+    console.log(`Mock Smartling API listening on http://localhost:${port}`);
+}
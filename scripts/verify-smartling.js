@@ -0,0 +1,133 @@
+import assert from "assert";
+
+import { createMockServer } from "./mock-smartling.js";
+
+/**
+ * Verifies the retries, token renewal and errors of the Smartling client against the mock server, e.g., `npm run verify`
+ */
+const mock = createMockServer();
+const port = await mock.listen();
+
+// Read by the client when it is loaded, and by the provider
+process.env["INPUT_SMARTLING-BASE-URL"] = `http://localhost:${port}`;
+process.env["INPUT_SMARTLING-PROJECT-ID"] = "p";
+process.env["INPUT_SMARTLING-USER-ID"] = "user";
+process.env["INPUT_SMARTLING-USER-SECRET"] = "secret";
+
+const { SmartlingError, authenticate, createJob, getJob } = await import(
+    "../src/smartling.js"
+);
+const { createSmartlingProvider } = await import(
+    "../src/providers/smartling.js"
+);
+
+const job = { name: "Mock job", description: "" };
+let failed = 0;
+
+async function scenario(name, run) {
+    mock.requests.length = 0;
+
+    try {
+        await run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n${error.stack}`);
+    }
+}
+
+const session = await authenticate("user", "secret");
+
+await scenario("Retries throttled requests after Retry-After", async () => {
+    mock.fail("429", "503");
+    assert.strictEqual(
+        (await getJob("job1", "p", session)).jobName,
+        "Mock job"
+    );
+    assert.strictEqual(mock.requests.length, 3);
+});
+
+await scenario(
+    "Retries a job creation rejected before processing",
+    async () => {
+        mock.fail("429");
+        assert.strictEqual(
+            await createJob(job, ["ja-JP"], "p", session),
+            "job1"
+        );
+        assert.strictEqual(mock.requests.length, 2);
+    }
+);
+
+await scenario(
+    "Does not retry a job creation that may have succeeded",
+    async () => {
+        mock.fail("500");
+        await assert.rejects(createJob(job, ["ja-JP"], "p", session), error => {
+            assert.ok(error instanceof SmartlingError);
+            assert.strictEqual(error.status, 500);
+            assert.strictEqual(error.key, "mock.failure");
+            assert.match(
+                error.message,
+                /\[POST \/jobs-api\/v3\/projects\/p\/jobs\]/
+            );
+            return true;
+        });
+        assert.strictEqual(mock.requests.length, 1);
+    }
+);
+
+await scenario("Does not retry a dropped job creation", async () => {
+    mock.fail("close");
+    await assert.rejects(createJob(job, ["ja-JP"], "p", session), error => {
+        assert.strictEqual(error.status, null);
+        return true;
+    });
+    assert.strictEqual(mock.requests.length, 1);
+});
+
+await scenario("Retries a dropped retrieval", async () => {
+    mock.fail("close");
+    await getJob("job1", "p", session);
+    assert.strictEqual(mock.requests.length, 2);
+});
+
+await scenario("Renews a rejected token once", async () => {
+    mock.fail("401");
+    await getJob("job1", "p", session);
+    assert.deepStrictEqual(mock.requests, [
+        "GET /jobs-api/v3/projects/p/jobs/job1",
+        "POST /auth-api/v2/authenticate/refresh",
+        "GET /jobs-api/v3/projects/p/jobs/job1",
+    ]);
+});
+
+await scenario("Reports errors without a JSON body", async () => {
+    mock.fail("html", "html", "html", "html", "html", "html");
+    await assert.rejects(getJob("job1", "p", session), error => {
+        assert.strictEqual(error.status, 502);
+        assert.match(error.message, /Bad gateway/);
+        return true;
+    });
+});
+
+await scenario("Reports the progress of a job per file", async () => {
+    const status = await createSmartlingProvider().fetchStatus("job1");
+
+    assert.strictEqual(status.percentComplete, 100);
+    assert.deepStrictEqual(status.files, [
+        {
+            fileUri: "docs/en/intro.mdx",
+            locale: "ja-JP",
+            completed: 1,
+            total: 1,
+        },
+    ]);
+});
+
+await mock.close();
+
+if (failed > 0) {
+    console.error(`\n${failed} scenario(s) failed`);
+    process.exit(1);
+}
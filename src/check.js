@@ -0,0 +1,123 @@
+import fs from "fs";
+
+import { getInput } from "@actions/core";
+import { getConfig } from "./config.js";
+import { diffStrings } from "./diff.js";
+import { readManifest } from "./manifest.js";
+import { extractStrings, isTranslatable, uploadFiles } from "./upload.js";
+import { createMDXProcessor } from "./utils.js";
+
+/**
+ * Compares the strings of each source file with the translations recorded in the manifest by `update`, for every target locale.
+ * Translations are stale when their source string changed, missing when a string was never translated, and orphaned when
+ * their source string, or file, was removed. Returns the counts of each file and locale with outdated translations.
+ * With reupload-stale, the stale strings are uploaded again. Fails on any outdated translation if fail-on-outdated is set.
+ */
+export async function checkTranslations(filePaths) {
+    const mdxProcessor = createMDXProcessor();
+    const { targetLocales } = getConfig();
+    const manifest = readManifest();
+
+    const outdated = [];
+    // Map file paths to the IDs of their stale strings
+    const staleIds = new Map();
+
+    for (const filePath of filePaths) {
+        const content = fs.readFileSync(filePath, "utf-8");
+
+        console.log(`--- ${filePath} ---\n`);
+
+        const strings = extractStrings(
+            mdxProcessor.parse(content),
+            mdxProcessor
+        ).filter(isTranslatable);
+
+        for (const locale of targetLocales) {
+            const recorded = manifest[filePath]?.[locale]?.strings ?? [];
+
+            // Strings changed between unchanged neighbours are stale if their former source was translated
+            const { changed, replaced, removed } = diffStrings(
+                recorded,
+                strings
+            );
+
+            const stale = changed.filter(
+                (string, index) => replaced[index].translated
+            );
+            // Strings new, changed from an untranslated source, or left untranslated
+            const translatedIds = new Set(
+                recorded
+                    .filter(string => string.translated)
+                    .map(string => string.id)
+            );
+            const missing = strings.filter(
+                string =>
+                    !translatedIds.has(string.id) && !stale.includes(string)
+            );
+            const orphaned = removed.filter(string => string.translated).length;
+
+            console.log(
+                `> ${locale}: ${stale.length} stale, ${missing.length} missing, ${orphaned} orphaned translation(s)`
+            );
+            stale.forEach(string => console.log(`  - stale: ${string.text}`));
+
+            if (stale.length + missing.length + orphaned > 0) {
+                outdated.push({
+                    fileUri: filePath,
+                    locale: locale,
+                    stale: stale.length,
+                    missing: missing.length,
+                    orphaned: orphaned,
+                });
+            }
+
+            if (stale.length > 0) {
+                const ids = staleIds.get(filePath) ?? new Set();
+                stale.forEach(string => ids.add(string.id));
+                staleIds.set(filePath, ids);
+            }
+        }
+
+        console.log("");
+    }
+
+    // Translations of source files that no longer exist
+    for (const [filePath, locales] of Object.entries(manifest)) {
+        if (fs.existsSync(filePath)) continue;
+
+        for (const [locale, { strings }] of Object.entries(locales)) {
+            const orphaned = strings.filter(string => string.translated).length;
+            if (orphaned === 0) continue;
+
+            console.log(
+                `> ${filePath} (${locale}): ${orphaned} orphaned translation(s) of a removed file`
+            );
+            outdated.push({
+                fileUri: filePath,
+                locale: locale,
+                stale: 0,
+                missing: 0,
+                orphaned: orphaned,
+            });
+        }
+    }
+
+    if (staleIds.size > 0 && getInput("reupload-stale") === "true") {
+        console.log(`Uploading stale strings of ${staleIds.size} file(s)\n`);
+        const { failed } = await uploadFiles([...staleIds.keys()], staleIds);
+
+        if (failed.length > 0) {
+            throw new Error(
+                `Failed to upload stale strings of ${failed.length} file(s)`
+            );
+        }
+    }
+
+    if (outdated.length > 0 && getInput("fail-on-outdated") === "true") {
+        throw new Error(
+            `Found outdated translations in ${outdated.length} file locale(s)`
+        );
+    }
+
+    return outdated;
+}
@@ -0,0 +1,61 @@
+import path from "path";
+
+import { getInput } from "@actions/core";
+import { context, getOctokit } from "@actions/github";
+
+/**
+ * Commits the files (`{ path, content }`) to the head branch of the pull request in a single commit.
+ * Files whose content is null are deleted.
+ * https://docs.github.com/en/rest/git/trees#create-a-tree
+ */
+export async function commitFiles(files, message) {
+    // https://docs.github.com/en/webhooks/webhook-events-and-payloads#pull_request
+    const pr = context.payload.pull_request;
+    if (pr == null) {
+        throw new Error(
+            "Localized files can only be committed for a pull_request event"
+        );
+    }
+
+    const token = getInput("github-token", { required: true });
+    const octokit = getOctokit(token);
+    const { owner, repo } = context.repo;
+    const ref = `heads/${pr.head.ref}`;
+
+    const { data: head } = await octokit.rest.git.getRef({ owner, repo, ref });
+    const { data: parent } = await octokit.rest.git.getCommit({
+        owner,
+        repo,
+        commit_sha: head.object.sha,
+    });
+
+    const { data: tree } = await octokit.rest.git.createTree({
+        owner,
+        repo,
+        base_tree: parent.tree.sha,
+        tree: files.map(file => ({
+            path: path
+                .relative(process.cwd(), file.path)
+                .split(path.sep)
+                .join("/"),
+            mode: "100644",
+            type: "blob",
+            // A null SHA removes the file from the tree
+            ...(file.content == null
+                ? { sha: null }
+                : { content: file.content }),
+        })),
+    });
+
+    const { data: commit } = await octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message: message,
+        tree: tree.sha,
+        parents: [parent.sha],
+    });
+
+    await octokit.rest.git.updateRef({ owner, repo, ref, sha: commit.sha });
+
+    console.log(`✅ Committed "${message}" to ${pr.head.ref}`);
+}
@@ -0,0 +1,141 @@
+import fs from "fs";
+
+import { getInput } from "@actions/core";
+
+const DEFAULT_CONFIG_PATH = ".localization.json";
+const DEFAULT_CONFIG = {
+    sourceLocale: "en-US",
+    targetLocales: ["ja-JP", "zh-CN"],
+    // Locale-specific paths, where {locale} stands for the code of a locale: the directory of source and localized files
+    // (defaults to the first directory named after the source locale), and the prefix of internal URLs
+    paths: {
+        files: null,
+        urls: "/{locale}/",
+    },
+    // Glob patterns of the source files to localize and to leave out, e.g., docs/en/**/*.mdx
+    include: [],
+    exclude: [],
+    // Overrides the code used for a locale in paths and URLs (defaults to the language, e.g., ja-JP -> ja)
+    localeCodes: {
+        "en-XA": "pseudo",
+    },
+    // Translatable frontmatter keys, mapping each key path to a note for translators. Items of arrays are matched with [], e.g., hero.actions[].text
+    frontmatter: {
+        title: "title for document",
+        description: "description of document",
+        "sidebar.label": "label of document in the sidebar",
+    },
+    // JSX components with translatable content, mapping each translatable attribute to a note for translators
+    components: {
+        RelativeLink: {
+            attributes: { title: "" },
+        },
+        AccordionItem: {
+            attributes: { title: "" },
+            children: true,
+        },
+    },
+    // Elements that components and directives are rendered as in the visual context, matching the published site. The title
+    // comes from a directive label, the given attribute, or else the given text. Children are wrapped in `content` if set
+    render: {
+        note: {
+            tagName: "aside",
+            className: "starlight-aside starlight-aside--note",
+            title: { className: "starlight-aside__title", text: "Note" },
+            content: { className: "starlight-aside__content" },
+        },
+        tip: {
+            tagName: "aside",
+            className: "starlight-aside starlight-aside--tip",
+            title: { className: "starlight-aside__title", text: "Tip" },
+            content: { className: "starlight-aside__content" },
+        },
+        caution: {
+            tagName: "aside",
+            className: "starlight-aside starlight-aside--caution",
+            title: { className: "starlight-aside__title", text: "Caution" },
+            content: { className: "starlight-aside__content" },
+        },
+        danger: {
+            tagName: "aside",
+            className: "starlight-aside starlight-aside--danger",
+            title: { className: "starlight-aside__title", text: "Danger" },
+            content: { className: "starlight-aside__content" },
+        },
+        AccordionItem: {
+            tagName: "details",
+            title: { tagName: "summary", attribute: "title" },
+        },
+        Tabs: {
+            className: "tabs",
+        },
+        TabItem: {
+            tagName: "section",
+            className: "tab-panel",
+            title: { tagName: "h4", attribute: "label" },
+        },
+        UILabel: {
+            tagName: "span",
+            className: "ui-label",
+        },
+    },
+    // Stylesheets of the published site for the visual context, as URLs or paths of local CSS files, which are inlined
+    stylesheets: [],
+    // Pseudo-localization for layout testing, where expansion is the ratio of padding added to each string
+    pseudo: {
+        locale: "en-XA",
+        expansion: 0.3,
+    },
+};
+
+let config;
+
+/**
+ * Returns the localization config, read from the repo config file with action inputs taking precedence
+ */
+export function getConfig() {
+    if (config == null) {
+        config = loadConfig();
+    }
+
+    return config;
+}
+
+function loadConfig() {
+    const configPath = getInput("config-path") || DEFAULT_CONFIG_PATH;
+
+    let file = {};
+    if (fs.existsSync(configPath)) {
+        console.log(`Using config from ${configPath}\n`);
+        file = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    }
+
+    const result = {
+        ...DEFAULT_CONFIG,
+        ...file,
+        localeCodes: { ...DEFAULT_CONFIG.localeCodes, ...file.localeCodes },
+        frontmatter: { ...DEFAULT_CONFIG.frontmatter, ...file.frontmatter },
+        paths: { ...DEFAULT_CONFIG.paths, ...file.paths },
+        components: { ...DEFAULT_CONFIG.components, ...file.components },
+        render: { ...DEFAULT_CONFIG.render, ...file.render },
+        pseudo: { ...DEFAULT_CONFIG.pseudo, ...file.pseudo },
+    };
+
+    const sourceLocale = getInput("source-locale");
+    if (sourceLocale) {
+        result.sourceLocale = sourceLocale;
+    }
+
+    const targetLocales = getInput("target-locales");
+    if (targetLocales) {
+        result.targetLocales = targetLocales.split(/\s+/);
+    }
+
+    if (result.targetLocales.includes(result.sourceLocale)) {
+        throw new Error(
+            `Source locale ${result.sourceLocale} cannot also be a target locale`
+        );
+    }
+
+    return result;
+}
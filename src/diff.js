@@ -0,0 +1,73 @@
+import { execFileSync } from "child_process";
+
+/**
+ * Reads the content of a file at the given revision. Returns null if the file did not exist.
+ * Requires the revision to have been fetched, e.g., with `fetch-depth: 0` in actions/checkout.
+ */
+export function readRevision(filePath, sha) {
+    try {
+        return execFileSync("git", ["show", `${sha}:${filePath}`], {
+            encoding: "utf-8",
+            stdio: ["ignore", "pipe", "ignore"],
+        });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Compares the strings of two revisions of a file by ID.
+ * Strings that differ between the same unchanged neighbours are paired up as changed, and the remainder are added or removed.
+ * `replaced` lists the base strings of each changed string, in the same order.
+ */
+export function diffStrings(base, head) {
+    // Longest common subsequence of IDs, where lengths[i][j] is the LCS length of base[i:] and head[j:]
+    const lengths = Array.from({ length: base.length + 1 }, () =>
+        new Array(head.length + 1).fill(0)
+    );
+
+    for (let i = base.length - 1; i >= 0; i--) {
+        for (let j = head.length - 1; j >= 0; j--) {
+            lengths[i][j] =
+                base[i].id === head[j].id
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = { added: [], changed: [], replaced: [], removed: [] };
+    let added = [];
+    let removed = [];
+
+    const flush = () => {
+        const count = Math.min(added.length, removed.length);
+        diff.changed.push(...added.slice(0, count));
+        diff.replaced.push(...removed.slice(0, count));
+        diff.added.push(...added.slice(count));
+        diff.removed.push(...removed.slice(count));
+        added = [];
+        removed = [];
+    };
+
+    let i = 0;
+    let j = 0;
+
+    while (i < base.length || j < head.length) {
+        if (i < base.length && j < head.length && base[i].id === head[j].id) {
+            flush();
+            i++;
+            j++;
+        } else if (
+            j < head.length &&
+            (i === base.length || lengths[i][j + 1] >= lengths[i + 1][j])
+        ) {
+            added.push(head[j++]);
+        } else {
+            removed.push(base[i++]);
+        }
+    }
+
+    flush();
+
+    return diff;
+}
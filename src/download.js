@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+
+import { getInput } from "@actions/core";
+import { getConfig } from "./config.js";
+import { getProvider } from "./providers/index.js";
+import { TRANSLATIONS_DIR_PATH } from "./utils.js";
+
+/**
+ * Fetches the translated strings of each file from the translation provider for every target locale.
+ * Returns the files and locales whose translations are incomplete.
+ */
+export async function downloadFiles(fileUris) {
+    const translationsDir =
+        getInput("translations-dir") || TRANSLATIONS_DIR_PATH;
+    const { targetLocales } = getConfig();
+    const provider = getProvider();
+
+    const incomplete = [];
+
+    for (const fileUri of fileUris) {
+        console.log(`--- ${fileUri} ---\n`);
+
+        const result = await provider.fetchTranslations(fileUri, targetLocales);
+        incomplete.push(...result.incomplete);
+
+        for (const [locale, json] of Object.entries(result.translations)) {
+            // Mirrors the source file path, e.g., translations/ja-JP/docs/en/intro.mdx.json
+            const outputPath = path.join(
+                translationsDir,
+                locale,
+                `${fileUri}.json`
+            );
+
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, JSON.stringify(json, null, 4));
+        }
+    }
+
+    if (incomplete.length > 0) {
+        console.warn("Incomplete translations:\n");
+        incomplete.forEach(({ fileUri, locale, completed, total }) =>
+            console.warn(`> ${fileUri} (${locale}): ${completed}/${total}`)
+        );
+    }
+
+    return incomplete;
+}
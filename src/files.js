@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+
+import { getInput } from "@actions/core";
+import { context, getOctokit } from "@actions/github";
+import { create } from "@actions/glob";
+import { minimatch } from "minimatch";
+import { getConfig } from "./config.js";
+
+const SOURCE_EXTENSIONS = new Set([".md", ".mdx"]);
+const GLOB_CHARACTERS = /[*?[{]/;
+
+/**
+ * Returns the source files to localize, relative to the working directory: the files, directories and glob patterns of
+ * the file-paths input, or the Markdown files changed in the pull request with changed-files.
+ * Files are filtered by the `include` and `exclude` patterns of the config. Missing files are skipped with a warning.
+ */
+export async function selectFiles() {
+    const candidates =
+        getInput("changed-files") === "true"
+            ? await listChangedFiles()
+            : await expandPaths(readFilePaths());
+
+    const filePaths = [];
+
+    for (const filePath of new Set(candidates)) {
+        if (!fs.existsSync(filePath)) {
+            console.warn(`> Skipped ${filePath}: file not found`);
+            continue;
+        }
+
+        if (!SOURCE_EXTENSIONS.has(path.extname(filePath))) {
+            console.warn(`> Skipped ${filePath}: not a Markdown file`);
+            continue;
+        }
+
+        if (isIncluded(filePath)) {
+            filePaths.push(filePath);
+        }
+    }
+
+    console.log(`Selected ${filePaths.length} file(s)\n`);
+
+    return filePaths;
+}
+
+/**
+ * Lists the source files removed or renamed in the pull request, e.g., `{ removed: ["docs/en/old.mdx"], renamed:
+ * [{ from: "docs/en/a.mdx", to: "docs/en/b.mdx" }] }`. Files are filtered like selected files, by their previous path.
+ */
+export async function listMovedFiles() {
+    const files = await listPullRequestFiles();
+    const isSource = filePath =>
+        SOURCE_EXTENSIONS.has(path.extname(filePath)) && isIncluded(filePath);
+
+    return {
+        removed: files
+            .filter(
+                file => file.status === "removed" && isSource(file.filename)
+            )
+            .map(file => file.filename),
+        renamed: files
+            .filter(
+                file =>
+                    file.status === "renamed" &&
+                    isSource(file.previous_filename)
+            )
+            .map(file => ({ from: file.previous_filename, to: file.filename })),
+    };
+}
+
+// Whether a file matches the include and exclude patterns of the config
+function isIncluded(filePath) {
+    const { include, exclude } = getConfig();
+    const matches = patterns =>
+        patterns.some(pattern => minimatch(filePath, pattern, { dot: true }));
+
+    return (include.length === 0 || matches(include)) && !matches(exclude);
+}
+
+// One path per line. A line with spaces that is not an existing path is split, for space-separated lists.
+function readFilePaths() {
+    return getInput("file-paths")
+        .split("\n")
+        .map(line => line.trim())
+        .filter(line => line)
+        .flatMap(line =>
+            line.includes(" ") && !fs.existsSync(line)
+                ? line.split(/\s+/)
+                : [line]
+        );
+}
+
+// Directories and glob patterns are expanded to the Markdown files they contain
+async function expandPaths(entries) {
+    const filePaths = [];
+
+    for (const entry of entries) {
+        const isDirectory =
+            fs.existsSync(entry) && fs.statSync(entry).isDirectory();
+
+        if (!isDirectory && !GLOB_CHARACTERS.test(entry)) {
+            filePaths.push(path.normalize(entry));
+            continue;
+        }
+
+        const globber = await create(entry, { matchDirectories: false });
+        const matched = (await globber.glob())
+            .map(match => path.relative(process.cwd(), match))
+            .filter(match => SOURCE_EXTENSIONS.has(path.extname(match)));
+
+        if (matched.length === 0) {
+            console.warn(`> No Markdown files found for ${entry}`);
+        }
+
+        filePaths.push(...matched.sort());
+    }
+
+    return filePaths;
+}
+
+/**
+ * Lists the Markdown files added or modified in the pull request
+ */
+async function listChangedFiles() {
+    const files = await listPullRequestFiles();
+
+    const changed = files
+        .filter(file => file.status !== "removed")
+        .map(file => file.filename)
+        .filter(filename => SOURCE_EXTENSIONS.has(path.extname(filename)));
+
+    console.log(
+        `${changed.length} Markdown file(s) changed in the pull request\n`
+    );
+
+    return changed;
+}
+
+/**
+ * Lists the files changed in the pull request, with their status, e.g., "removed" or "renamed".
+ * https://docs.github.com/en/rest/pulls/pulls#list-pull-requests-files
+ */
+async function listPullRequestFiles() {
+    const pr = context.payload.pull_request;
+    if (pr == null) {
+        throw new Error(
+            "Changed files can only be listed for a pull_request event"
+        );
+    }
+
+    const token = getInput("github-token", { required: true });
+    const octokit = getOctokit(token);
+    const { owner, repo } = context.repo;
+
+    return await octokit.paginate(octokit.rest.pulls.listFiles, {
+        owner,
+        repo,
+        pull_number: pr.number,
+        per_page: 100,
+    });
+}
@@ -0,0 +1,118 @@
+import { isMap, isScalar, isSeq, parseDocument, stringify } from "yaml";
+import { getConfig } from "./config.js";
+
+const BLOCK_SCALAR_TYPES = new Set(["BLOCK_LITERAL", "BLOCK_FOLDED"]);
+
+/**
+ * Extracts the values of the translatable keys declared in the `frontmatter` config, e.g., `sidebar.label` or `hero.actions[].text`.
+ * Offsets are those of each value in the file, so translations are written back without reformatting the rest of the YAML.
+ */
+export function parseFrontmatter(ast) {
+    console.log("Parsing frontmatter...\n");
+
+    const frontmatter = ast.children.find(node => node.type === "yaml");
+    if (frontmatter == null) {
+        console.log("No frontmatter data found\n");
+        return [];
+    }
+
+    const document = parseDocument(frontmatter.value);
+    if (document.errors.length > 0) {
+        console.warn(
+            `> Skipped invalid frontmatter: ${document.errors[0].message}\n`
+        );
+        return [];
+    }
+
+    // The AST does not include the divider in the value
+    const offset = frontmatter.position.start.offset + "---\n".length;
+    const strings = [];
+
+    for (const [keyPath, notes] of Object.entries(getConfig().frontmatter)) {
+        for (const node of resolveKeyPath(document.contents, keyPath)) {
+            if (!isScalar(node) || typeof node.value !== "string") continue;
+
+            const text = node.value.replace(/\n+$/, "");
+            if (text.trim() === "") continue;
+
+            console.log(`> ${keyPath}: ${text}`);
+
+            const [start, end] = node.range;
+
+            strings.push({
+                type: "frontmatter",
+                text: text,
+                start: offset + start,
+                end: offset + end,
+                notes: notes || `'${keyPath}' in frontmatter`,
+                yaml: describeScalar(node, frontmatter.value.slice(start, end)),
+            });
+        }
+    }
+
+    console.log(`\n${strings.length} frontmatter value(s) parsed\n`);
+
+    return strings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Formats translated text as a YAML value in the style of the source value, quoting it where needed
+ */
+export function formatYamlValue(text, yaml) {
+    if (BLOCK_SCALAR_TYPES.has(yaml.type)) {
+        const lines = text
+            .split("\n")
+            .map(line => (line ? yaml.indent + line : line));
+
+        return `${yaml.header}\n${lines.join("\n")}${yaml.newline ? "\n" : ""}`;
+    }
+
+    // Plain and quoted values span a single line. Plain values may be items of flow collections, e.g., [a, b]
+    const type =
+        text.includes("\n") || (yaml.type === "PLAIN" && /[,[\]{}]/.test(text))
+            ? "QUOTE_DOUBLE"
+            : yaml.type;
+
+    return stringify(text, { defaultStringType: type, lineWidth: 0 }).replace(
+        /\n$/,
+        ""
+    );
+}
+
+// Key paths are separated by dots, with [] matching each item of an array
+function resolveKeyPath(root, keyPath) {
+    let nodes = [root];
+
+    for (const segment of keyPath.split(".")) {
+        const key = segment.replace(/\[\]$/, "");
+
+        nodes = nodes
+            .filter(node => isMap(node))
+            .map(node => node.get(key, true))
+            .filter(node => node != null);
+
+        if (segment.endsWith("[]")) {
+            nodes = nodes
+                .filter(node => isSeq(node))
+                .flatMap(node => node.items);
+        }
+    }
+
+    return nodes;
+}
+
+// Block scalars keep their header, e.g., |- or >, and the indentation of their lines
+function describeScalar(node, raw) {
+    if (!BLOCK_SCALAR_TYPES.has(node.type)) {
+        return { type: node.type };
+    }
+
+    const [header, ...lines] = raw.split("\n");
+
+    return {
+        type: node.type,
+        header: header,
+        indent: lines.find(line => line.trim())?.match(/^\s*/)[0] ?? "",
+        newline: raw.endsWith("\n"),
+    };
+}
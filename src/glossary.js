@@ -0,0 +1,100 @@
+import fs from "fs";
+
+import { getInput } from "@actions/core";
+import { createPlaceholder } from "./utils.js";
+
+const DEFAULT_GLOSSARY_PATH = ".glossary.json";
+
+// Placeholders already in a string, which terms are not matched within
+const PLACEHOLDER_PATTERN = /(%%[^%\n]+%%)/;
+
+let glossary;
+
+/**
+ * Returns the glossary terms of the repo, read from the glossary file, which maps each term to its notes for translators.
+ * Terms are not translated unless `translate` is true, e.g., `{ "MAX": { "notes": "Product name" } }`.
+ */
+export function getGlossary() {
+    if (glossary == null) {
+        glossary = loadGlossary();
+    }
+
+    return glossary;
+}
+
+/**
+ * Wraps the do-not-translate terms found in a string as placeholders, e.g., `%%AppLovin SDK%%`, and adds the notes of
+ * every term found to the string's notes. Wrapped terms are kept in the string's `terms`, to be restored afterwards.
+ */
+export function applyGlossary(string) {
+    let text = string.text;
+    const terms = [];
+    const notes = [];
+
+    for (const entry of getGlossary()) {
+        const segments = text.split(PLACEHOLDER_PATTERN);
+        let found = false;
+
+        // Odd segments are placeholders
+        for (let index = 0; index < segments.length; index += 2) {
+            segments[index] = segments[index].replace(entry.pattern, () => {
+                found = true;
+                return entry.translate
+                    ? entry.term
+                    : createPlaceholder(entry.term);
+            });
+        }
+
+        if (!found) continue;
+
+        text = segments.join("");
+        notes.push(describeTerm(entry));
+        if (!entry.translate) terms.push(entry.term);
+    }
+
+    if (notes.length === 0) return string;
+
+    const result = {
+        ...string,
+        text: text,
+        notes: [string.notes, ...notes].filter(note => note).join("\n"),
+    };
+
+    if (terms.length > 0) result.terms = terms;
+
+    return result;
+}
+
+function loadGlossary() {
+    const glossaryPath = getInput("glossary-path") || DEFAULT_GLOSSARY_PATH;
+    if (!fs.existsSync(glossaryPath)) return [];
+
+    console.log(`Using glossary from ${glossaryPath}\n`);
+
+    const file = JSON.parse(fs.readFileSync(glossaryPath, "utf-8"));
+
+    // Longer terms first, so "AppLovin SDK" is matched before "AppLovin"
+    return Object.entries(file)
+        .map(([term, entry]) => ({
+            term: term,
+            notes: entry?.notes ?? "",
+            translate: entry?.translate === true,
+            pattern: new RegExp(
+                `(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`,
+                "gu"
+            ),
+        }))
+        .sort((a, b) => b.term.length - a.term.length);
+}
+
+function describeTerm(entry) {
+    const label = entry.translate
+        ? `"${entry.term}"`
+        : `"${entry.term}" (do not translate)`;
+
+    return entry.notes ? `${label}: ${entry.notes}` : label;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
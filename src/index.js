@@ -1,26 +1,105 @@
-import { setOutput, setFailed, getInput } from "@actions/core";
+import { setOutput, setFailed, getInput, warning } from "@actions/core";
+import { checkTranslations } from "./check.js";
+import { downloadFiles } from "./download.js";
+import { selectFiles } from "./files.js";
+import { pseudoLocalizeFiles } from "./pseudo.js";
+import { publishReport } from "./report.js";
+import { checkStatus } from "./status.js";
+import { syncMovedFiles } from "./sync.js";
 import { uploadFiles } from "./upload.js";
 import { updateFiles } from "./update.js";
-import { handleError } from "./utils.js";
+import { handleError, isDryRun } from "./utils.js";
 
 await main();
 
 async function main() {
     try {
         const action = getInput("action");
-        const filePaths = getInput("file-paths").split(" ");
 
         switch (action) {
-            case "upload":
-                await uploadFiles(filePaths);
-                setOutput("status", "Successfully uploaded files to Smartling");
+            case "upload": {
+                // Renames and deletions are only known from the pull request
+                if (getInput("changed-files") === "true") {
+                    await syncMovedFiles();
+                }
+
+                const report = await uploadFiles(await selectFiles());
+                await publishReport(report);
+
+                setOutput("job-uid", report.job?.jobUid ?? "");
+                setOutput("batch-uid", report.job?.batchUids?.join(" ") ?? "");
+                setOutput(
+                    "files",
+                    JSON.stringify(report.files.map(file => file.fileUri))
+                );
+                setOutput(
+                    "status",
+                    isDryRun()
+                        ? "Successfully extracted files without uploading"
+                        : "Successfully uploaded files for translation"
+                );
+
+                if (report.contextFailed.length > 0) {
+                    warning(
+                        `Failed to attach visual context to ${report.contextFailed.length} uploaded file(s)`
+                    );
+                }
+
+                // Reported after the others were uploaded
+                if (report.failed.length > 0) {
+                    setFailed(
+                        `Failed to upload ${report.failed.length} file(s)`
+                    );
+                }
+                break;
+            }
+            case "download": {
+                const incomplete = await downloadFiles(await selectFiles());
+                setOutput(
+                    "status",
+                    incomplete.length === 0
+                        ? "Successfully downloaded translations"
+                        : `Downloaded translations with ${incomplete.length} incomplete file locale(s)`
+                );
                 break;
+            }
             case "update":
-                await updateFiles(filePaths);
+                await updateFiles(await selectFiles());
                 setOutput("status", "Successfully updated local source files");
                 break;
+            case "status": {
+                const status = await checkStatus();
+
+                setOutput("job-uid", status.jobUid);
+                setOutput("percent-complete", status.percentComplete);
+                setOutput("threshold-reached", status.thresholdReached);
+                setOutput("progress", JSON.stringify(status.files));
+                setOutput(
+                    "status",
+                    `Job "${status.name}" is ${status.percentComplete}% complete`
+                );
+                break;
+            }
+            case "check": {
+                const outdated = await checkTranslations(await selectFiles());
+
+                setOutput("outdated", JSON.stringify(outdated));
+                setOutput(
+                    "status",
+                    outdated.length === 0
+                        ? "All translations are up to date"
+                        : `Found outdated translations in ${outdated.length} file locale(s)`
+                );
+                break;
+            }
+            case "pseudo":
+                await pseudoLocalizeFiles(await selectFiles());
+                setOutput("status", "Successfully pseudo-localized files");
+                break;
             default:
-                setFailed("Unrecognized action. Expected 'upload' or 'update'");
+                setFailed(
+                    "Unrecognized action. Expected 'upload', 'download', 'update', 'status', 'check' or 'pseudo'"
+                );
                 break;
         }
     } catch (error) {
@@ -0,0 +1,57 @@
+import fs from "fs";
+
+import { getInput } from "@actions/core";
+
+const DEFAULT_MANIFEST_PATH = ".localization-manifest.json";
+
+/**
+ * Reads the manifest of applied translations, which maps each source file and locale to the IDs of its strings and whether
+ * each was translated, e.g., `{ "docs/en/intro.mdx": { "ja-JP": { "strings": [{ "id": "4378107b44d9143f", "translated": true }] } } }`.
+ * IDs are hashes of the source text, so they record which version of the source each translation was made from.
+ */
+export function readManifest() {
+    const manifestPath = getManifestPath();
+    if (!fs.existsSync(manifestPath)) return {};
+
+    return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+}
+
+/**
+ * Records the strings of a file and locale, in order of appearance, and whether `isTranslated` each one, replacing those
+ * of a previous update. Untranslated strings keep their position, so changes around them are compared correctly.
+ */
+export function recordTranslations(
+    manifest,
+    filePath,
+    locale,
+    strings,
+    isTranslated
+) {
+    manifest[filePath] ??= {};
+    manifest[filePath][locale] = {
+        strings: strings.map(string => ({
+            id: string.id,
+            translated: isTranslated(string),
+        })),
+    };
+}
+
+/**
+ * Returns the manifest as a file to be written and committed with the localized files, with source files sorted for stable diffs
+ */
+export function createManifestFile(manifest) {
+    const sorted = Object.fromEntries(
+        Object.keys(manifest)
+            .sort()
+            .map(filePath => [filePath, manifest[filePath]])
+    );
+
+    return {
+        path: getManifestPath(),
+        content: JSON.stringify(sorted, null, 4) + "\n",
+    };
+}
+
+function getManifestPath() {
+    return getInput("manifest-path") || DEFAULT_MANIFEST_PATH;
+}
@@ -0,0 +1,125 @@
+import fs from "fs";
+
+import { getConfig } from "./config.js";
+import { createPlaceholder, shortLocale } from "./utils.js";
+
+// URLs with a scheme, e.g., https: or mailto:, or protocol-relative URLs
+const EXTERNAL_URL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+const PAGE_EXTENSIONS = [".mdx", ".md"];
+// Relative and absolute import paths, and aliases such as ~/ or @/, as opposed to packages, e.g., @org/en/pkg
+const PATH_SPECIFIER_PATTERN = /^(?:\.{1,2}\/|\/|~|@\/)/;
+
+/**
+ * Maps a source file path to its localized counterpart, e.g., src/content/docs/en/intro.mdx -> src/content/docs/ja/intro.mdx.
+ * The locale is found with the `paths.files` template of the config, or else as the first directory named after the source locale.
+ */
+export function localizePath(filePath, locale) {
+    const localized = swapLocaleDirectory(filePath, shortLocale(locale));
+
+    if (localized == null) {
+        throw new Error(
+            `Could not find "${sourcePrefix(filesTemplate())}" directory in ${filePath}`
+        );
+    }
+
+    return localized;
+}
+
+// Whether a file has localized counterparts, i.e., its path contains the source locale directory
+export function isLocalizablePath(filePath) {
+    return swapLocaleDirectory(filePath, createPlaceholder("locale")) != null;
+}
+
+/**
+ * Replaces the source locale of an import path with a placeholder, e.g., ~/content/docs/en/_partial.mdx.
+ * Relative imports within the locale, e.g., ./_partial.mdx, have no locale to replace, while those leading back into it,
+ * e.g., ../en/_partial.mdx, are replaced. Package imports are left unchanged.
+ */
+export function localizeImport(specifier) {
+    if (!PATH_SPECIFIER_PATTERN.test(specifier)) return specifier;
+
+    return (
+        swapLocaleDirectory(specifier, createPlaceholder("locale")) ?? specifier
+    );
+}
+
+/**
+ * Replaces the source locale of an internal URL with a placeholder, following the `paths.urls` template of the config,
+ * e.g., /en/guide/#setup -> /%%locale%%/guide/#setup. External URLs, anchors and relative URLs are left unchanged.
+ */
+export function localizeUrl(url) {
+    const rest = matchUrl(url);
+    if (rest == null) return url;
+
+    const template = getConfig().paths.urls;
+    return (
+        fillTemplate(template, createPlaceholder("locale")).replace(/\/$/, "") +
+        rest
+    );
+}
+
+/**
+ * Whether an internal URL of the source locale leads to a source file, e.g., /en/guide/ -> src/content/docs/en/guide.mdx.
+ * Returns true for other URLs, or if the `paths.files` template is not set, as they cannot be resolved.
+ */
+export function isResolvableUrl(url) {
+    const rest = matchUrl(url);
+    const template = getConfig().paths.files;
+    if (rest == null || template == null) return true;
+
+    const page = rest.replace(/[?#].*$/, "").replace(/^\/+|\/+$/g, "");
+    const base = sourcePrefix(template) + page;
+
+    const candidates = [
+        base,
+        ...PAGE_EXTENSIONS.map(extension => base + extension),
+        ...PAGE_EXTENSIONS.map(
+            extension => `${base}${page ? "/" : ""}index${extension}`
+        ),
+    ];
+
+    return candidates.some(candidate => fs.existsSync(candidate));
+}
+
+function filesTemplate() {
+    return getConfig().paths.files ?? "{locale}/";
+}
+
+function fillTemplate(template, code) {
+    return template.replaceAll("{locale}", code);
+}
+
+function sourcePrefix(template) {
+    return fillTemplate(template, shortLocale(getConfig().sourceLocale));
+}
+
+// Swaps the first occurrence of the files template that starts a path segment. Returns null if there is none.
+function swapLocaleDirectory(filePath, code) {
+    const template = filesTemplate();
+    const prefix = sourcePrefix(template);
+
+    let index = filePath.indexOf(prefix);
+    while (index > 0 && filePath[index - 1] !== "/") {
+        index = filePath.indexOf(prefix, index + 1);
+    }
+
+    if (index === -1) return null;
+
+    return (
+        filePath.slice(0, index) +
+        fillTemplate(template, code) +
+        filePath.slice(index + prefix.length)
+    );
+}
+
+// Returns the rest of an internal URL after the source locale prefix, e.g., /en/guide/ -> /guide/, or null if it does not match
+function matchUrl(url) {
+    if (EXTERNAL_URL_PATTERN.test(url) || !url.startsWith("/")) return null;
+
+    const base = sourcePrefix(getConfig().paths.urls).replace(/\/$/, "");
+    if (!url.startsWith(base)) return null;
+
+    // The prefix must end at a path boundary, e.g., not /engine for /en
+    const rest = url.slice(base.length);
+    return rest === "" || /^[/?#]/.test(rest) ? rest : null;
+}
@@ -0,0 +1,37 @@
+import { getInput } from "@actions/core";
+import { createSmartlingProvider } from "./smartling.js";
+import { createXliffProvider } from "./xliff.js";
+
+/**
+ * Translation providers take the strings extracted from each file and return their translations. A provider implements:
+ *
+ * - `uploadStrings(files)`: sends the strings of each file (`{ fileUri, strings, context }`) for translation, and may
+ *   return the job they were added to (`{ jobUid, batchUids, batches, name, url, failed }`) for the run report, listing
+ *   the files uploaded to each batch (`{ batchUid, fileUris }`) and those that failed (`{ fileUri, error }`) without
+ *   stopping the others
+ * - `attachContext(files, upload)`: attaches the HTML visual context of each file to its strings, given the result of
+ *   `uploadStrings`, and may return the files that failed
+ * - `fetchTranslations(fileUri, locales)`: returns `{ translations, incomplete }`, mapping each locale to its translated
+ *   strings (`{ strings: [{ id, text }] }`) and listing the locales whose translations are incomplete
+ * - `fetchStatus(jobUid)` (optional): returns the translation progress of a job, `{ jobUid, name, status, percentComplete,
+ *   files }`, listing the completed and total strings of each file and locale
+ * - `renameFile(fileUri, newFileUri)` and `deleteFile(fileUri)`: follow source files renamed or removed in a pull request.
+ *   Renamed files keep their translations. Files that were never uploaded are skipped
+ */
+const PROVIDERS = {
+    smartling: createSmartlingProvider,
+    xliff: createXliffProvider,
+};
+
+export function getProvider() {
+    const name = getInput("provider") || "smartling";
+
+    const createProvider = PROVIDERS[name];
+    if (createProvider == null) {
+        throw new Error(
+            `Unrecognized provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`
+        );
+    }
+
+    return createProvider();
+}
@@ -0,0 +1,556 @@
+import { getInput } from "@actions/core";
+import { context } from "@actions/github";
+import {
+    SmartlingError,
+    authenticate,
+    cancelBatchFile,
+    createBatch,
+    createBindings,
+    createJob,
+    deleteFile,
+    downloadFile,
+    findOpenJob,
+    getBatch,
+    getFileStatus,
+    getJob,
+    getJobFiles,
+    getJobProgress,
+    getSourceStrings,
+    listFiles,
+    renameFile,
+    uploadContext,
+    uploadFileToBatch,
+} from "../smartling.js";
+import { getConfig } from "../config.js";
+import { createAnchor, mapConcurrent, mergeTranslations } from "../utils.js";
+
+// Polling for batch processing, after which strings can be bound to their visual context
+const BATCH_POLL_INTERVAL = 5 * 1000;
+const BATCH_TIMEOUT = 10 * 60 * 1000;
+
+// Files uploaded at once, and files per batch, above which uploads are split across batches
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_BATCH_SIZE = 50;
+
+// https://api-reference.smartling.com/#tag/Files/operation/downloadTranslatedFileSingleLocale
+const RETRIEVAL_TYPES = ["published", "pending", "pseudo"];
+
+/**
+ * Creates the Smartling JSON payload for the strings of a file
+ */
+export function createPayload(strings) {
+    return {
+        smartling: {
+            translate_paths: [
+                {
+                    path: "/strings/text",
+                    key: "/strings/id",
+                    instruction: "/strings/notes",
+                    key_generation_strategy: "strict",
+                },
+            ],
+            variants_enabled: "false",
+            // Inline markup and locale placeholders, e.g., %%0%% or %%locale%%, which translators must keep
+            placeholder_format_custom: "%%[^%\\n]+%%",
+        },
+        strings: strings,
+    };
+}
+
+/**
+ * Provider uploading strings as JSON files to a Smartling job
+ */
+export function createSmartlingProvider() {
+    const projectId = getInput("smartling-project-id", { required: true });
+    const encoder = new TextEncoder();
+
+    let session;
+
+    const getSession = async () => {
+        if (session == null) {
+            const userId = getInput("smartling-user-id", { required: true });
+            const userSecret = getInput("smartling-user-secret", {
+                required: true,
+            });
+
+            session = await authenticate(userId, userSecret);
+        }
+
+        return session;
+    };
+
+    return {
+        async uploadStrings(files) {
+            const session = await getSession();
+            const { targetLocales } = getConfig();
+
+            const job = describeJob();
+
+            // Runs for the same pull request add to its open job, even if it was renamed
+            let jobUid = await findOpenJob(job.prefix, projectId, session);
+            if (jobUid == null) {
+                jobUid = await createJob(
+                    job,
+                    targetLocales,
+                    projectId,
+                    session
+                ).catch(async error => {
+                    // Without a response, the job may have been created, and creating it again would duplicate it
+                    const created =
+                        error instanceof SmartlingError && error.status == null
+                            ? await findOpenJob(job.prefix, projectId, session)
+                            : null;
+                    if (created == null) throw error;
+
+                    return created;
+                });
+            } else {
+                console.log(`Reusing open job "${job.name}"`);
+            }
+
+            const batchSize = readPositiveInteger(
+                "batch-size",
+                DEFAULT_BATCH_SIZE
+            );
+            const chunks = [];
+            for (let index = 0; index < files.length; index += batchSize) {
+                chunks.push(files.slice(index, index + batchSize));
+            }
+
+            if (chunks.length > 1) {
+                console.log(
+                    `Splitting ${files.length} files across ${chunks.length} batches\n`
+                );
+            }
+
+            const batches = [];
+            const failed = [];
+
+            for (const chunk of chunks) {
+                let batchUid;
+                try {
+                    batchUid = await createBatch(
+                        chunk.map(file => file.fileUri),
+                        jobUid,
+                        projectId,
+                        session
+                    );
+                } catch (error) {
+                    // Files of the other batches are uploaded regardless
+                    console.warn(
+                        `Failed to create a batch of ${chunk.length} file(s): ${error.message}\n`
+                    );
+                    chunk.forEach(file =>
+                        failed.push({
+                            fileUri: file.fileUri,
+                            error: error.message,
+                        })
+                    );
+                    continue;
+                }
+
+                // When all files are uploaded, Smartling automatically executes the batch
+                const errors = await runForFiles(chunk, "uploaded", file =>
+                    uploadFileToBatch(
+                        encoder.encode(
+                            JSON.stringify(createPayload(file.strings))
+                        ),
+                        file.fileUri,
+                        targetLocales,
+                        batchUid,
+                        projectId,
+                        session
+                    )
+                );
+
+                // Files that failed are cancelled so the batch is executed without them
+                for (const { file, error } of errors) {
+                    failed.push({
+                        fileUri: file.fileUri,
+                        error: error.message,
+                    });
+
+                    await cancelBatchFile(
+                        batchUid,
+                        file.fileUri,
+                        "Upload failed",
+                        projectId,
+                        session
+                    ).catch(error => console.warn(error.message));
+                }
+
+                batches.push({
+                    batchUid: batchUid,
+                    fileUris: chunk
+                        .filter(file =>
+                            errors.every(({ file: other }) => other !== file)
+                        )
+                        .map(file => file.fileUri),
+                });
+            }
+
+            return {
+                jobUid: jobUid,
+                batchUids: batches.map(batch => batch.batchUid),
+                batches: batches,
+                name: job.name,
+                url: `https://dashboard.smartling.com/app/projects/${projectId}/account-jobs/${projectId}:${jobUid}`,
+                failed: failed,
+            };
+        },
+
+        // Context is attached batch by batch, to the files of each batch of the upload returned by uploadStrings
+        async attachContext(files, upload) {
+            const session = await getSession();
+            const failed = [];
+
+            for (const { batchUid, fileUris } of upload.batches) {
+                const batchFiles = files.filter(file =>
+                    fileUris.includes(file.fileUri)
+                );
+                if (batchFiles.length === 0) continue;
+
+                try {
+                    // Strings only exist in Smartling once the batch has been processed
+                    await waitForBatch(batchUid, projectId, session);
+                } catch (error) {
+                    batchFiles.forEach(file =>
+                        failed.push({
+                            fileUri: file.fileUri,
+                            error: error.message,
+                        })
+                    );
+                    continue;
+                }
+
+                const errors = await runForFiles(
+                    batchFiles,
+                    "bound to context",
+                    async file => {
+                        const contextUid = await uploadContext(
+                            file.fileUri,
+                            encoder.encode(file.context),
+                            projectId,
+                            session
+                        );
+
+                        await bindContext(file, contextUid, projectId, session);
+                    }
+                );
+
+                errors.forEach(({ file, error }) =>
+                    failed.push({
+                        fileUri: file.fileUri,
+                        error: error.message,
+                    })
+                );
+            }
+
+            return failed;
+        },
+
+        // Without a job UID, the open job of the pull request or commit is used
+        async fetchStatus(jobUid) {
+            const session = await getSession();
+
+            if (!jobUid) {
+                const { prefix } = describeJob();
+
+                jobUid = await findOpenJob(prefix, projectId, session);
+                if (jobUid == null) {
+                    throw new Error(
+                        `No open job found for "${prefix}". Set the job-uid input to check the status of another job`
+                    );
+                }
+            }
+
+            const job = await getJob(jobUid, projectId, session);
+            const progress = await getJobProgress(jobUid, projectId, session);
+            const fileUris = await getJobFiles(jobUid, projectId, session);
+
+            const files = [];
+
+            for (const fileUri of fileUris) {
+                const status = await getFileStatus(fileUri, projectId, session);
+                if (status == null) continue;
+
+                status.items
+                    .filter(item => job.targetLocaleIds.includes(item.localeId))
+                    .forEach(item =>
+                        files.push({
+                            fileUri: fileUri,
+                            locale: item.localeId,
+                            completed: item.completedStringCount,
+                            total: status.totalStringCount,
+                        })
+                    );
+            }
+
+            return {
+                jobUid: jobUid,
+                name: job.jobName,
+                status: job.jobStatus,
+                percentComplete: progress?.progress?.percentComplete ?? 0,
+                files: files,
+            };
+        },
+
+        // Files of strings uploaded separately are renamed along with the file, keeping their translations
+        async renameFile(fileUri, newFileUri) {
+            const session = await getSession();
+            const uris = await listRelatedFileUris(fileUri, projectId, session);
+
+            for (const uri of uris) {
+                if ((await getFileStatus(uri, projectId, session)) == null) {
+                    continue;
+                }
+
+                // Keeps the suffix of separate uploads, e.g., #pr-12
+                const newUri = newFileUri + uri.slice(fileUri.length);
+
+                if ((await getFileStatus(newUri, projectId, session)) != null) {
+                    console.warn(
+                        `> Skipped renaming ${uri}: ${newUri} already exists in Smartling`
+                    );
+                    continue;
+                }
+
+                await renameFile(uri, newUri, projectId, session);
+                console.log(`> Renamed ${uri} to ${newUri}`);
+            }
+        },
+
+        async deleteFile(fileUri) {
+            const session = await getSession();
+
+            const uris = await listRelatedFileUris(fileUri, projectId, session);
+
+            for (const uri of uris) {
+                if ((await getFileStatus(uri, projectId, session)) == null) {
+                    continue;
+                }
+
+                await deleteFile(uri, projectId, session);
+                console.log(`> Deleted ${uri}`);
+            }
+        },
+
+        // Stale strings uploaded again, and those uploaded incrementally for pull requests, are merged into the file's translations
+        async fetchTranslations(fileUri, locales) {
+            const retrievalType = getInput("retrieval-type") || "published";
+            if (!RETRIEVAL_TYPES.includes(retrievalType)) {
+                throw new Error(
+                    `Unrecognized retrieval type "${retrievalType}". Expected one of: ${RETRIEVAL_TYPES.join(", ")}`
+                );
+            }
+
+            const session = await getSession();
+            const uris = await listRelatedFileUris(fileUri, projectId, session);
+
+            const translations = {};
+            const incomplete = [];
+
+            for (const uri of uris) {
+                const status = await getFileStatus(uri, projectId, session);
+                if (status == null) {
+                    console.log(`> ${uri}: not found in Smartling\n`);
+                    continue;
+                }
+
+                const items = status.items.filter(item =>
+                    locales.includes(item.localeId)
+                );
+
+                for (const { localeId, completedStringCount } of items) {
+                    const json = await downloadFile(
+                        uri,
+                        localeId,
+                        retrievalType,
+                        projectId,
+                        session
+                    );
+
+                    translations[localeId] = mergeTranslations(
+                        translations[localeId],
+                        json
+                    );
+
+                    console.log(
+                        `> ${uri} (${localeId}): ${completedStringCount}/${status.totalStringCount} strings completed\n`
+                    );
+
+                    if (completedStringCount < status.totalStringCount) {
+                        incomplete.push({
+                            fileUri: uri,
+                            locale: localeId,
+                            completed: completedStringCount,
+                            total: status.totalStringCount,
+                        });
+                    }
+                }
+            }
+
+            return { translations, incomplete };
+        },
+    };
+}
+
+/**
+ * Returns the file URI and those of its strings uploaded separately, e.g., docs/en/intro.mdx#stale or #pr-12. These are
+ * listed from Smartling, so they are found outside of the pull request they were uploaded for, e.g., after it is merged.
+ */
+async function listRelatedFileUris(fileUri, projectId, session) {
+    const uris = await listFiles(`${fileUri}#`, projectId, session);
+
+    return [
+        fileUri,
+        ...uris.filter(uri => uri.startsWith(`${fileUri}#`)).sort(),
+    ];
+}
+
+/**
+ * Names the job after the pull request, or the commit when run outside of one, and links back to it.
+ * Open jobs starting with the same prefix are reused.
+ */
+function describeJob() {
+    const { payload, repo, serverUrl, sha } = context;
+    const pr = payload.pull_request;
+
+    const dueDate = getInput("due-date") || undefined;
+    if (dueDate && isNaN(Date.parse(dueDate))) {
+        throw new Error(
+            `Invalid due date "${dueDate}". Expected an ISO 8601 date, e.g., 2024-12-31T00:00:00Z`
+        );
+    }
+
+    if (pr != null) {
+        const prefix = `${repo.repo} PR #${pr.number}:`;
+
+        return {
+            prefix: prefix,
+            name: `${prefix} ${pr.title}`,
+            description: `${pr.html_url}\nBranch: ${pr.head.ref}`,
+            dueDate: dueDate,
+        };
+    }
+
+    const message = payload.head_commit?.message?.split("\n")[0];
+    const branch = context.ref.replace(/^refs\/heads\//, "");
+
+    const prefix = `${repo.repo} ${branch}@${sha.slice(0, 7)}`;
+
+    return {
+        prefix: prefix,
+        name: message ? `${prefix}: ${message}` : prefix,
+        description: `${serverUrl}/${repo.owner}/${repo.repo}/commit/${sha}`,
+        dueDate: dueDate,
+    };
+}
+
+/**
+ * Runs a step for each file with bounded concurrency, logging progress per file. Files that fail are retried once after
+ * the others, so a failure does not hold back the rest. Returns the files that failed again, with their error.
+ */
+async function runForFiles(files, step, task) {
+    const concurrency = readPositiveInteger("concurrency", DEFAULT_CONCURRENCY);
+    let completed = 0;
+
+    const run = async file => {
+        try {
+            await task(file);
+        } catch (error) {
+            return { file, error };
+        }
+
+        completed++;
+        console.log(`> [${completed}/${files.length}] ${step} ${file.fileUri}`);
+        return null;
+    };
+
+    const errors = (await mapConcurrent(files, concurrency, run)).filter(
+        Boolean
+    );
+    if (errors.length === 0) return [];
+
+    console.warn(`Retrying ${errors.length} file(s) that failed:`);
+    errors.forEach(({ file, error }) =>
+        console.warn(`> ${file.fileUri}: ${error.message}`)
+    );
+
+    const remaining = (
+        await mapConcurrent(
+            errors.map(({ file }) => file),
+            concurrency,
+            run
+        )
+    ).filter(Boolean);
+
+    console.log(
+        `Retried ${errors.length} file(s): ${errors.length - remaining.length} ${step}, ${remaining.length} failed\n`
+    );
+
+    return remaining;
+}
+
+function readPositiveInteger(name, defaultValue) {
+    const input = getInput(name);
+    const value = Number(input || defaultValue);
+
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(
+            `Invalid ${name} "${input}". Expected a positive integer`
+        );
+    }
+
+    return value;
+}
+
+async function waitForBatch(batchUid, projectId, session) {
+    const deadline = Date.now() + BATCH_TIMEOUT;
+
+    while (Date.now() < deadline) {
+        const batch = await getBatch(batchUid, projectId, session);
+        if (batch.status === "COMPLETED") return;
+        if (batch.status === "FAILED") {
+            throw new Error(`Batch ${batchUid} failed: ${batch.generalErrors}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, BATCH_POLL_INTERVAL));
+    }
+
+    throw new Error(`Timed out waiting for batch ${batchUid} to complete`);
+}
+
+/**
+ * Binds each string to its anchor element in the visual context, so translators see the exact element highlighted
+ */
+async function bindContext(file, contextUid, projectId, session) {
+    const { fileUri, strings, context } = file;
+
+    // Keys of uploaded strings are their IDs
+    const sourceStrings = await getSourceStrings(fileUri, projectId, session);
+    const hashcodes = new Map(
+        sourceStrings.flatMap(item =>
+            item.keys.map(({ key }) => [key, item.hashcode])
+        )
+    );
+
+    const bindings = strings
+        .filter(
+            string =>
+                hashcodes.has(string.id) &&
+                context.includes(`id="${createAnchor(string.id)}"`)
+        )
+        .map(string => ({
+            contextUid: contextUid,
+            stringHashcode: hashcodes.get(string.id),
+            selector: { anchors: [createAnchor(string.id)] },
+        }));
+
+    if (bindings.length === 0) {
+        console.log(`No strings to bind to context for ${fileUri}`);
+        return;
+    }
+
+    await createBindings(fileUri, bindings, projectId, session);
+}
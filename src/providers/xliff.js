@@ -0,0 +1,326 @@
+import fs from "fs";
+import path from "path";
+
+import { getInput } from "@actions/core";
+import { XMLParser } from "fast-xml-parser";
+import { getConfig } from "../config.js";
+import { mergeTranslations } from "../utils.js";
+
+export const XLIFF_DIR_PATH = "xliff/";
+
+// Placeholders within strings, e.g., %%0%% or %%string:…%%, split out by a capturing group
+const PLACEHOLDER_REGEX = /(%%[^%\n]+%%)/;
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    parseTagValue: false,
+    trimValues: false,
+    // Kept as XML, as their inline codes are mapped back to placeholders
+    stopNodes: ["*.source", "*.target"],
+    isArray: name => ["file", "unit", "note", "segment"].includes(name),
+});
+
+/**
+ * Provider exchanging XLIFF 2.0 files through a directory, e.g., for other vendors or in-house reviewers.
+ * Each file is exported per target locale, e.g., xliff/ja-JP/docs/en/intro.mdx.xlf, and imported back once translated.
+ * https://docs.oasis-open.org/xliff/xliff-core/v2.0/xliff-core-v2.0.html
+ */
+export function createXliffProvider() {
+    const dir = getInput("xliff-dir") || XLIFF_DIR_PATH;
+    const { sourceLocale, targetLocales } = getConfig();
+
+    const xliffPath = (fileUri, locale) =>
+        path.join(dir, locale, `${fileUri}.xlf`);
+    const contextPath = fileUri => path.join(dir, `${fileUri}.html`);
+
+    // The file URI and those of its strings exported separately in any of the locales, e.g., docs/en/intro.mdx#stale or #pr-12
+    const listRelatedFileUris = (fileUri, locales) => {
+        const prefix = `${path.basename(fileUri)}#`;
+        const uris = new Set();
+
+        for (const locale of locales) {
+            const localeDir = path.dirname(xliffPath(fileUri, locale));
+            if (!fs.existsSync(localeDir)) continue;
+
+            fs.readdirSync(localeDir)
+                .filter(
+                    name => name.startsWith(prefix) && name.endsWith(".xlf")
+                )
+                .forEach(name =>
+                    uris.add(
+                        path.join(
+                            path.dirname(fileUri),
+                            name.slice(0, -".xlf".length)
+                        )
+                    )
+                );
+        }
+
+        return [fileUri, ...[...uris].sort()];
+    };
+
+    return {
+        async uploadStrings(files) {
+            for (const { fileUri, strings } of files) {
+                for (const locale of targetLocales) {
+                    const outputPath = xliffPath(fileUri, locale);
+
+                    // Keep existing translations of unchanged strings when exporting again
+                    const existing = fs.existsSync(outputPath)
+                        ? readUnits(fs.readFileSync(outputPath, "utf-8"))
+                        : new Map();
+
+                    const xliff = createXliff(
+                        fileUri,
+                        strings,
+                        sourceLocale,
+                        locale,
+                        existing
+                    );
+
+                    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+                    fs.writeFileSync(outputPath, xliff);
+
+                    console.log(`> ${outputPath}`);
+                }
+            }
+        },
+
+        // XLIFF has no visual context, so it is written alongside for reference
+        async attachContext(files) {
+            for (const { fileUri, context } of files) {
+                const outputPath = contextPath(fileUri);
+
+                fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+                fs.writeFileSync(outputPath, context);
+            }
+        },
+
+        // Files of strings exported separately are renamed along with the file, keeping their translations
+        async renameFile(fileUri, newFileUri) {
+            const moves = listRelatedFileUris(fileUri, targetLocales).flatMap(
+                uri => {
+                    // Keeps the suffix of separate exports, e.g., #pr-12
+                    const newUri = newFileUri + uri.slice(fileUri.length);
+
+                    return [
+                        ...targetLocales.map(locale => [
+                            xliffPath(uri, locale),
+                            xliffPath(newUri, locale),
+                        ]),
+                        [contextPath(uri), contextPath(newUri)],
+                    ];
+                }
+            );
+
+            for (const [from, to] of moves) {
+                if (!fs.existsSync(from)) continue;
+
+                fs.mkdirSync(path.dirname(to), { recursive: true });
+                fs.renameSync(from, to);
+                console.log(`> Renamed ${from} to ${to}`);
+            }
+        },
+
+        async deleteFile(fileUri) {
+            const filePaths = listRelatedFileUris(
+                fileUri,
+                targetLocales
+            ).flatMap(uri => [
+                ...targetLocales.map(locale => xliffPath(uri, locale)),
+                contextPath(uri),
+            ]);
+
+            for (const filePath of filePaths) {
+                if (!fs.existsSync(filePath)) continue;
+
+                fs.rmSync(filePath);
+                console.log(`> Deleted ${filePath}`);
+            }
+        },
+
+        // Stale strings exported again, and those exported incrementally for pull requests, are merged into the file's translations
+        async fetchTranslations(fileUri, locales) {
+            const translations = {};
+            const incomplete = [];
+
+            for (const locale of locales) {
+                for (const uri of listRelatedFileUris(fileUri, [locale])) {
+                    const inputPath = xliffPath(uri, locale);
+                    if (!fs.existsSync(inputPath)) {
+                        console.log(`> ${inputPath}: not found\n`);
+                        continue;
+                    }
+
+                    const units = readUnits(
+                        fs.readFileSync(inputPath, "utf-8")
+                    );
+                    const strings = [...units]
+                        .filter(([, unit]) => unit.target != null)
+                        .map(([id, unit]) => ({ id, text: unit.target }));
+
+                    translations[locale] = mergeTranslations(
+                        translations[locale],
+                        { strings }
+                    );
+
+                    console.log(
+                        `> ${inputPath}: ${strings.length}/${units.size} strings completed\n`
+                    );
+
+                    if (strings.length < units.size) {
+                        incomplete.push({
+                            fileUri: uri,
+                            locale,
+                            completed: strings.length,
+                            total: units.size,
+                        });
+                    }
+                }
+            }
+
+            return { translations, incomplete };
+        },
+    };
+}
+
+function createXliff(fileUri, strings, sourceLocale, targetLocale, existing) {
+    const units = strings.map(string => {
+        const previous = existing.get(string.id);
+        const target =
+            previous?.source === string.text ? previous.target : null;
+
+        const source = encodeInline(string.text, string.placeholders);
+
+        const notes = string.notes
+            ? `
+      <notes>
+        <note category="description">${escapeXml(string.notes)}</note>
+      </notes>`
+            : "";
+
+        return `    <unit id="${escapeXml(string.id)}">${notes}
+      <segment state="${target == null ? "initial" : "translated"}">
+        <source>${source.content}</source>${target == null ? "" : `\n        <target>${encodeInline(target, string.placeholders, source.ids).content}</target>`}
+      </segment>
+    </unit>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${sourceLocale}" trgLang="${targetLocale}">
+  <file id="f1" original="${escapeXml(fileUri)}">
+${units.join("\n")}
+  </file>
+</xliff>
+`;
+}
+
+/**
+ * Swaps the placeholders of a text for inline codes, e.g., `<ph id="1" disp="**" equiv="%%0%%"/>`, which translation
+ * tools protect and display as the markup they stand for. Placeholders of a target take the IDs of the same placeholders
+ * in its source, given as `[placeholder, id]` pairs.
+ * https://docs.oasis-open.org/xliff/xliff-core/v2.0/xliff-core-v2.0.html#ph
+ */
+function encodeInline(text, placeholders = [], sourceIds = null) {
+    const available = sourceIds ? [...sourceIds] : null;
+    const ids = [];
+
+    const content = text
+        .split(PLACEHOLDER_REGEX)
+        .map((part, index) => {
+            // Odd parts are placeholders
+            if (index % 2 === 0) return escapeXml(part);
+
+            let id = String(ids.length + 1);
+            if (available) {
+                const match = available.findIndex(([other]) => other === part);
+                id = match === -1 ? `t${id}` : available.splice(match, 1)[0][1];
+            }
+            ids.push([part, id]);
+
+            // Numbered placeholders are displayed as their markup, others as their name, e.g., a glossary term
+            const name = part.slice(2, -2);
+            const disp = /^\d+$/.test(name)
+                ? (placeholders[name] ?? part)
+                : name;
+
+            return `<ph id="${id}" disp="${escapeXml(disp)}" equiv="${escapeXml(part)}"/>`;
+        })
+        .join("");
+
+    return { content, ids };
+}
+
+// Maps unit IDs to their source and target text (null if untranslated), with inline codes swapped back for placeholders
+function readUnits(xml) {
+    const units = new Map();
+    const document = parser.parse(xml);
+
+    for (const file of document.xliff?.file ?? []) {
+        for (const unit of file.unit ?? []) {
+            const segment = unit.segment?.[0] ?? {};
+
+            const placeholders = new Map();
+            const source = decodeInline(textOf(segment.source), placeholders);
+            const target = decodeInline(textOf(segment.target), placeholders);
+
+            units.set(unit.id, {
+                source: source,
+                target: target ? target : null,
+            });
+        }
+    }
+
+    return units;
+}
+
+/**
+ * Swaps inline codes back for their placeholders, found by ID among those of the source, which is decoded first.
+ * Codes added by translators are kept by their `equiv`, or else dropped.
+ */
+function decodeInline(content, placeholders) {
+    if (content == null) return null;
+
+    return unescapeXml(
+        content.replace(/<ph\b([^>]*?)\/>/g, (element, attributes) => {
+            const id = readAttribute(attributes, "id");
+            const equiv = readAttribute(attributes, "equiv");
+
+            if (!placeholders.has(id) && equiv) placeholders.set(id, equiv);
+            return escapeXml(placeholders.get(id) ?? "");
+        })
+    );
+}
+
+function readAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+
+    return match ? unescapeXml(match[1]) : null;
+}
+
+function textOf(element) {
+    if (element == null) return null;
+
+    return typeof element === "string" ? element : (element["#text"] ?? "");
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(x?)([0-9a-f]+);/gi, (entity, hex, code) =>
+            String.fromCodePoint(parseInt(code, hex ? 16 : 10))
+        )
+        .replace(/&amp;/g, "&");
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,102 @@
+import fs from "fs";
+import path from "path";
+
+import { getConfig } from "./config.js";
+import { extractStrings } from "./upload.js";
+import { localizePath } from "./paths.js";
+import { createMDXProcessor, localizeContent } from "./utils.js";
+import { reportValidation, validateLocalizedFile } from "./validate.js";
+
+const ACCENTED_CHARACTERS = {
+    a: "å", b: "ƀ", c: "ç", d: "ð", e: "é", f: "ƒ", g: "ĝ", h: "ĥ", i: "î",
+    j: "ĵ", k: "ķ", l: "ļ", m: "ɱ", n: "ñ", o: "ö", p: "þ", q: "ǫ", r: "ŕ",
+    s: "š", t: "ţ", u: "û", v: "ṽ", w: "ŵ", x: "ẋ", y: "ý", z: "ž",
+    A: "Å", B: "Ɓ", C: "Ç", D: "Ð", E: "É", F: "Ƒ", G: "Ĝ", H: "Ĥ", I: "Î",
+    J: "Ĵ", K: "Ķ", L: "Ļ", M: "Ṁ", N: "Ñ", O: "Ö", P: "Þ", Q: "Ǫ", R: "Ŕ",
+    S: "Š", T: "Ţ", U: "Û", V: "Ṽ", W: "Ŵ", X: "Ẋ", Y: "Ý", Z: "Ž",
+}; // prettier-ignore
+
+// Segments of a string that must be left untouched
+const PROTECTED_PATTERN = new RegExp(
+    [
+        "%%[^%]+%%", // Placeholders
+        "`[^`]*`", // Inline code
+        "\\]\\([^)]*\\)", // Link and image destinations
+        "https?://[^\\s)>]+", // URLs
+        "<[^>]*>", // HTML and JSX tags
+        "\\{[^}]*\\}", // JSX expressions
+        ":[a-zA-Z][\\w-]*(?=\\[)", // Text directive names
+    ].join("|"),
+    "g"
+);
+
+/**
+ * Writes a pseudo-localized copy of each file, to catch truncation and untranslated strings before real translations arrive
+ */
+export async function pseudoLocalizeFiles(filePaths) {
+    const mdxProcessor = createMDXProcessor();
+    const { locale, expansion } = getConfig().pseudo;
+
+    // Pseudo-localized files to be written
+    const files = [];
+
+    for (const filePath of filePaths) {
+        const content = fs.readFileSync(filePath, "utf-8");
+
+        console.log(`--- ${filePath} ---\n`);
+
+        const strings = extractStrings(
+            mdxProcessor.parse(content),
+            mdxProcessor
+        );
+        const outputPath = localizePath(filePath, locale);
+        const { content: localized } = localizeContent(
+            content,
+            strings,
+            string => pseudoLocalize(string.text, expansion),
+            locale
+        );
+
+        console.log(`> ${locale}: ${outputPath}\n`);
+
+        files.push({
+            path: outputPath,
+            locale: locale,
+            content: localized,
+            errors: validateLocalizedFile(content, localized, mdxProcessor),
+        });
+    }
+
+    reportValidation(files);
+
+    for (const file of files) {
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        fs.writeFileSync(file.path, file.content);
+    }
+}
+
+/**
+ * Accents the letters of the text, pads it by the expansion ratio and wraps it in brackets.
+ * Placeholders, inline code, URLs and markup are left untouched.
+ */
+export function pseudoLocalize(text, expansion = 0) {
+    let result = "";
+    let length = 0;
+    let index = 0;
+
+    const accent = segment => {
+        length += segment.length;
+        return segment.replace(/[a-zA-Z]/g, char => ACCENTED_CHARACTERS[char]);
+    };
+
+    for (const match of text.matchAll(PROTECTED_PATTERN)) {
+        result += accent(text.slice(index, match.index)) + match[0];
+        index = match.index + match[0].length;
+    }
+
+    result += accent(text.slice(index));
+
+    const padding = "~".repeat(Math.ceil(length * expansion));
+
+    return `⟦${result}${padding}⟧`;
+}
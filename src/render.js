@@ -0,0 +1,127 @@
+import fs from "fs";
+
+import { getConfig } from "./config.js";
+
+const EXTERNAL_URL_PATTERN = /^(?:https?:)?\/\//i;
+
+const DIRECTIVE_TYPES = new Set([
+    "containerDirective",
+    "leafDirective",
+    "textDirective",
+]);
+const INLINE_TYPES = new Set(["mdxJsxTextElement", "textDirective"]);
+
+/**
+ * Renders the components and directives of a file in its visual context, following the `render` config, which maps
+ * the name of each component or directive to the element it is published as, e.g., `:::note` to a Starlight aside.
+ * Nodes without a render config are rendered as a plain `<div>`, or `<span>` within text.
+ */
+export function renderUnknownNode(state, node) {
+    const isDirective = DIRECTIVE_TYPES.has(node.type);
+    const render =
+        isDirective || node.type.startsWith("mdxJsx")
+            ? getConfig().render[node.name]
+            : null;
+
+    // A label rendered as the title is left out of the content
+    const label =
+        isDirective && render?.title ? findDirectiveLabel(node) : null;
+    const children = (node.children ?? []).filter(child => child !== label);
+    const tagName = INLINE_TYPES.has(node.type) ? "span" : "div";
+
+    let content = state.all({ ...node, children });
+
+    if (render == null) {
+        return createElement(tagName, node.data?.hProperties, null, content);
+    }
+
+    if (render.content) {
+        content = [
+            createElement(
+                render.content.tagName ?? "div",
+                null,
+                render.content.className,
+                content
+            ),
+        ];
+    }
+
+    const title = render.title
+        ? renderTitle(state, node, label, render.title)
+        : null;
+
+    return createElement(
+        render.tagName ?? tagName,
+        node.data?.hProperties,
+        render.className,
+        title ? [title, ...content] : content
+    );
+}
+
+/**
+ * Options of rehype-document for the stylesheets of the `stylesheets` config: URLs are linked, and local files are inlined,
+ * since the visual context is rendered away from the repo.
+ */
+export function getDocumentOptions() {
+    const { stylesheets } = getConfig();
+
+    return {
+        css: stylesheets.filter(stylesheet =>
+            EXTERNAL_URL_PATTERN.test(stylesheet)
+        ),
+        style: stylesheets
+            .filter(stylesheet => !EXTERNAL_URL_PATTERN.test(stylesheet))
+            .map(stylesheet => fs.readFileSync(stylesheet, "utf-8")),
+    };
+}
+
+// The title comes from the directive label, e.g., :::note[Custom title], the configured attribute, or else the fixed text
+function renderTitle(state, node, label, title) {
+    let properties = null;
+    let children;
+
+    if (label) {
+        properties = label.data?.hProperties;
+        children = state.all(label);
+    } else {
+        const attribute = title.attribute
+            ? node.attributes?.find(attr => attr.name === title.attribute)
+            : null;
+        const text =
+            typeof attribute?.value === "string" ? attribute.value : title.text;
+
+        if (text == null) return null;
+
+        children = [{ type: "text", value: text }];
+    }
+
+    return createElement(
+        title.tagName ?? "p",
+        properties,
+        title.className,
+        children
+    );
+}
+
+// Label of a container directive, which remark-directive parses as its first paragraph
+function findDirectiveLabel(node) {
+    if (node.type !== "containerDirective") return null;
+
+    const first = node.children[0];
+    return first?.data?.directiveLabel ? first : null;
+}
+
+function createElement(tagName, properties, className, children) {
+    const result = {
+        type: "element",
+        tagName: tagName,
+        properties: { ...properties },
+        children: children,
+    };
+
+    if (className) {
+        result.properties.className = className.split(/\s+/);
+    }
+
+    return result;
+}
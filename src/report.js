@@ -0,0 +1,160 @@
+import { getInput, summary } from "@actions/core";
+import { context, getOctokit } from "@actions/github";
+
+// Identifies the comment of the action in a pull request, so it is updated rather than added on each run
+const COMMENT_MARKER = "<!-- docs-localization-action report -->";
+
+/**
+ * Summarizes the strings extracted from a file for the run report
+ */
+export function summarizeFile(fileUri, { strings, skipped, unresolvedLinks }) {
+    return {
+        fileUri: fileUri,
+        strings: strings.length,
+        words: strings.reduce(
+            (sum, string) => sum + countWords(string.text),
+            0
+        ),
+        skipped: skipped,
+        unresolvedLinks: unresolvedLinks,
+    };
+}
+
+/**
+ * Publishes the report of an upload to the job summary and, if the pr-comment input is set, as a comment on the pull request.
+ * The report lists each file (`{ fileUri, strings, words, skipped, unresolvedLinks }`), the job the strings were uploaded to, if
+ * any, the files that failed to upload (`{ fileUri, error }`) and the uploaded files whose visual context failed.
+ */
+export async function publishReport(report) {
+    const markdown = createMarkdown(report);
+
+    // The job summary is only available when running in GitHub Actions
+    if (process.env.GITHUB_STEP_SUMMARY) {
+        await summary.addRaw(markdown).write();
+    }
+
+    if (getInput("pr-comment") === "true") {
+        await commentOnPullRequest(markdown);
+    }
+}
+
+function createMarkdown({ files, job, failed, contextFailed, dryRun }) {
+    const lines = ["## Localization upload", ""];
+
+    if (dryRun) {
+        lines.push("Dry run: strings were extracted without uploading.", "");
+    } else if (job) {
+        const name = job.url ? `[${job.name}](${job.url})` : job.name;
+        // Batches are listed on the page of their job
+        const batches = job.batchUids
+            .map(uid => (job.url ? `[\`${uid}\`](${job.url})` : `\`${uid}\``))
+            .join(", ");
+        lines.push(`Job: ${name} · Batches: ${batches}`, "");
+    }
+
+    if (files.length === 0 && failed.length === 0) {
+        lines.push("No strings to upload.");
+        return lines.join("\n");
+    }
+
+    if (files.length > 0) {
+        lines.push(
+            "| File | Strings | Words | Skipped | Unresolved links |",
+            "| --- | ---: | ---: | --- | --- |"
+        );
+
+        for (const file of files) {
+            lines.push(
+                `| \`${file.fileUri}\` | ${file.strings} | ${file.words} | ${describeSkipped(file.skipped)} | ${file.unresolvedLinks.map(url => `\`${url}\``).join(", ")} |`
+            );
+        }
+
+        const total = key => files.reduce((sum, file) => sum + file[key], 0);
+        lines.push(
+            "",
+            `${total("strings")} string(s), ${total("words")} word(s) in ${files.length} file(s)`
+        );
+    }
+
+    const listFiles = (title, entries) => {
+        if (entries.length === 0) return;
+
+        lines.push("", `### ${title}`, "");
+        entries.forEach(({ fileUri, error }) =>
+            lines.push(`- \`${fileUri}\`: ${error}`)
+        );
+    };
+
+    listFiles("Failed files", failed);
+    // Their strings were uploaded, without visual context
+    listFiles("Files without visual context", contextFailed);
+
+    return lines.join("\n");
+}
+
+// Counts of each skipped node, e.g., "code ×2, <Tabs> ×1"
+function describeSkipped(skipped) {
+    const counts = {};
+    skipped.forEach(name => (counts[name] = (counts[name] ?? 0) + 1));
+
+    const entries = Object.entries(counts);
+    if (entries.length === 0) return "";
+
+    return entries
+        .map(([name, count]) => `${name.replace(/[<>]/g, "\\$&")} ×${count}`)
+        .join(", ");
+}
+
+// Words outside of placeholders, e.g., %%0%%
+function countWords(text) {
+    return text
+        .replace(/%%[^%\n]+%%/g, " ")
+        .split(/\s+/)
+        .filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+/**
+ * Adds the report as a comment on the pull request, or updates the comment of a previous run.
+ * Failing to comment, e.g., for lack of permissions, does not fail the run.
+ * https://docs.github.com/en/rest/issues/comments
+ */
+async function commentOnPullRequest(markdown) {
+    const pr = context.payload.pull_request;
+    if (pr == null) {
+        console.warn("Skipped report comment outside of a pull_request event");
+        return;
+    }
+
+    const token = getInput("github-token", { required: true });
+    const octokit = getOctokit(token);
+    const { owner, repo } = context.repo;
+    const body = `${COMMENT_MARKER}\n${markdown}`;
+
+    try {
+        const comments = await octokit.paginate(
+            octokit.rest.issues.listComments,
+            { owner, repo, issue_number: pr.number, per_page: 100 }
+        );
+        const previous = comments.find(comment =>
+            comment.body?.startsWith(COMMENT_MARKER)
+        );
+
+        if (previous) {
+            await octokit.rest.issues.updateComment({
+                owner,
+                repo,
+                comment_id: previous.id,
+                body,
+            });
+        } else {
+            await octokit.rest.issues.createComment({
+                owner,
+                repo,
+                issue_number: pr.number,
+                body,
+            });
+        }
+    } catch (error) {
+        console.warn(`Could not comment on pull request: ${error.message}`);
+    }
+}
@@ -1,69 +1,157 @@
-import path from "path";
-import { LOCALES } from "./utils.js";
+import { getInput } from "@actions/core";
 
-const BASE_URL = "https://api.smartling.com";
+// Overridable to test against a mock of the Smartling API
+const BASE_URL = getInput("smartling-base-url") || "https://api.smartling.com";
 const MAX_JOB_NAME_LENGTH = 170; // Smartling API constraint
+const MAX_JOB_DESCRIPTION_LENGTH = 2000; // Smartling API constraint
+const OPEN_JOB_STATUSES = ["DRAFT", "AWAITING_AUTHORIZATION", "IN_PROGRESS"];
+
+const REQUEST_TIMEOUT = 60 * 1000;
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+// Statuses of requests rejected before being processed, which are safe to retry even if they are not idempotent
+const REJECTED_STATUSES = new Set([429, 503]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+const TOKEN_EXPIRY_MARGIN = 30 * 1000; // Refresh tokens shortly before they expire
 
 /**
- * Authenticate with Smartling and retrieve access token.
+ * Error returned by the Smartling API, including the endpoint and Smartling error key when available
+ */
+export class SmartlingError extends Error {
+    constructor(description, endpoint, status, key, message) {
+        const details = [status, key].filter(Boolean).join(" ");
+        super(
+            `Failed ${description}: ${message} (${details || "no response"}) [${endpoint}]`
+        );
+
+        this.name = "SmartlingError";
+        this.endpoint = endpoint;
+        this.status = status;
+        this.key = key;
+    }
+}
+
+/**
+ * Authenticate with Smartling. Returns a session, whose access token is refreshed as needed by each request.
  * https://api-reference.smartling.com/#tag/Authentication/operation/authenticate
  */
 export async function authenticate(userId, userSecret) {
-    const url = `${BASE_URL}/auth-api/v2/authenticate`;
-    const body = {
-        userIdentifier: userId,
-        userSecret: userSecret,
-    };
+    const session = { userId, userSecret };
 
-    const response = await fetch(url, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-        },
-        body: JSON.stringify(body),
-    });
+    await renewSession(session, false);
+
+    return session;
+}
 
-    const json = await validateResponse(
-        response,
-        "authentication with Smartling"
+/**
+ * Finds an open job (not completed, cancelled or closed) whose name starts with the prefix. Returns the job UID, or null if none was found.
+ * https://api-reference.smartling.com/#tag/Jobs/operation/getJobsByProject
+ */
+export async function findOpenJob(prefix, projectId, session) {
+    const params = new URLSearchParams({ jobName: prefix });
+    OPEN_JOB_STATUSES.forEach(status =>
+        params.append("translationJobStatus", status)
     );
 
-    return json["response"]["data"]["accessToken"];
+    const url = `${BASE_URL}/jobs-api/v3/projects/${projectId}/jobs?${params}`;
+
+    const json = await request(url, {}, "job search in Smartling", session);
+
+    // Job name filter matches anywhere in the name
+    const job = json["response"]["data"]["items"].find(item =>
+        item.jobName.startsWith(prefix)
+    );
+
+    return job?.translationJobUid ?? null;
 }
 
 /**
- * Creates a job within Smartling. Returns the job number
+ * Creates a job within Smartling, given its name, description and optional due date. Returns the job number
  * https://api-reference.smartling.com/#tag/Jobs/operation/addJob
  */
-export async function createJob(name, projectId, accessToken) {
+export async function createJob(job, targetLocales, projectId, session) {
     const url = `${BASE_URL}/jobs-api/v3/projects/${projectId}/jobs`;
     const body = {
-        jobName:
-            name.length > MAX_JOB_NAME_LENGTH
-                ? str.slice(0, MAX_JOB_NAME_LENGTH)
-                : name,
-        targetLocaleIds: [LOCALES.zh, LOCALES.ja],
+        jobName: job.name.slice(0, MAX_JOB_NAME_LENGTH),
+        description: job.description?.slice(0, MAX_JOB_DESCRIPTION_LENGTH),
+        dueDate: job.dueDate,
+        targetLocaleIds: targetLocales,
     };
 
-    const response = await fetch(url, {
-        method: "POST",
-        body: JSON.stringify(body),
-        headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${accessToken}`,
+    const json = await request(
+        url,
+        {
+            method: "POST",
+            body: JSON.stringify(body),
+            headers: {
+                "Content-Type": "application/json",
+            },
         },
-    });
-
-    const json = await validateResponse(response, "job creation in Smartling");
+        "job creation in Smartling",
+        session
+    );
 
     return json["response"]["data"]["translationJobUid"];
 }
 
+/**
+ * Retrieves the details of a job, including its name, status and target locales.
+ * https://api-reference.smartling.com/#tag/Jobs/operation/getJobDetails
+ */
+export async function getJob(jobUid, projectId, session) {
+    const url = `${BASE_URL}/jobs-api/v3/projects/${projectId}/jobs/${jobUid}`;
+
+    const json = await request(url, {}, "job retrieval", session);
+
+    return json["response"]["data"];
+}
+
+/**
+ * Retrieves the translation progress of a job, overall and per locale. Data is null for jobs without content.
+ * https://api-reference.smartling.com/#tag/Jobs/operation/getJobProgress
+ */
+export async function getJobProgress(jobUid, projectId, session) {
+    const url = `${BASE_URL}/jobs-api/v3/projects/${projectId}/jobs/${jobUid}/progress`;
+
+    const json = await request(url, {}, "job progress retrieval", session);
+
+    return json["response"]["data"];
+}
+
+/**
+ * Retrieves the URIs of the files in a job.
+ * https://api-reference.smartling.com/#tag/Jobs/operation/getJobFilesList
+ */
+export async function getJobFiles(jobUid, projectId, session) {
+    const items = [];
+    let totalCount = Infinity;
+
+    while (items.length < totalCount) {
+        const params = new URLSearchParams({
+            offset: items.length,
+            limit: 500,
+        });
+        const url = `${BASE_URL}/jobs-api/v3/projects/${projectId}/jobs/${jobUid}/files?${params}`;
+
+        const json = await request(url, {}, "job files retrieval", session);
+
+        const data = json["response"]["data"];
+        if (data.items.length === 0) break;
+
+        items.push(...data.items);
+        totalCount = data.totalCount;
+    }
+
+    return items.map(item => item.uri);
+}
+
 /**
  * Creates a new batch for the given job with a list of file names to be uploaded.
  * https://api-reference.smartling.com/#tag/Job-Batches-V2/operation/createJobBatchV2
  */
-export async function createBatch(fileUris, jobUid, projectId, accessToken) {
+export async function createBatch(fileUris, jobUid, projectId, session) {
     const url = `${BASE_URL}/job-batches-api/v2/projects/${projectId}/batches`;
     const body = {
         authorize: false, // Don't authorize the job automatically; localization team can handle this
@@ -71,18 +159,17 @@ export async function createBatch(fileUris, jobUid, projectId, accessToken) {
         fileUris: fileUris,
     };
 
-    const response = await fetch(url, {
-        method: "POST",
-        body: JSON.stringify(body),
-        headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${accessToken}`,
+    const json = await request(
+        url,
+        {
+            method: "POST",
+            body: JSON.stringify(body),
+            headers: {
+                "Content-Type": "application/json",
+            },
         },
-    });
-
-    const json = await validateResponse(
-        response,
-        "batch creation for job in Smartling"
+        "batch creation for job in Smartling",
+        session
     );
 
     return json["response"]["data"]["batchUid"];
@@ -91,9 +178,10 @@ export async function createBatch(fileUris, jobUid, projectId, accessToken) {
 export async function uploadFileToBatch(
     fileContent,
     fileUri,
+    targetLocales,
     batchUid,
     projectId,
-    accessToken
+    session
 ) {
     const url = `${BASE_URL}/job-batches-api/v2/projects/${projectId}/batches/${batchUid}/file`;
 
@@ -103,67 +191,428 @@ export async function uploadFileToBatch(
     body.set("fileUri", fileUri);
     body.set("fileType", "json");
 
-    [LOCALES.ja, LOCALES.zh].forEach(locale =>
+    targetLocales.forEach(locale =>
         body.append("localeIdsToAuthorize[]", locale)
     );
 
-    const response = await fetch(url, {
-        method: "POST",
-        body: body,
-        headers: {
-            Authorization: `Bearer ${accessToken}`,
-        },
-    });
-
-    await validateResponse(response, `file upload to batch for ${fileUri}`);
+    // Uploading the same file again replaces it in the batch
+    await request(
+        url,
+        { method: "POST", body: body, idempotent: true },
+        `file upload to batch for ${fileUri}`,
+        session
+    );
 }
 
-export async function uploadContext(
+/**
+ * Removes a file from a batch, e.g., after it failed to upload, so the batch is executed with the other files.
+ * https://api-reference.smartling.com/#tag/Job-Batches-V2/operation/processBatchActionV2
+ */
+export async function cancelBatchFile(
+    batchUid,
     fileUri,
-    content,
-    jobUid,
+    reason,
     projectId,
-    accessToken
+    session
 ) {
-    const url = `${BASE_URL}/context-api/v2/projects/${projectId}/contexts/upload-and-match-async`;
+    const url = `${BASE_URL}/job-batches-api/v2/projects/${projectId}/batches/${batchUid}`;
+    const body = { action: "CANCEL_FILE", fileUri: fileUri, reason: reason };
+
+    await request(
+        url,
+        {
+            method: "PUT",
+            body: JSON.stringify(body),
+            headers: {
+                "Content-Type": "application/json",
+            },
+        },
+        `cancellation of ${fileUri} in batch`,
+        session
+    );
+}
+
+/**
+ * Retrieves a batch, including its status. Files are processed once the batch is "COMPLETED".
+ * https://api-reference.smartling.com/#tag/Job-Batches-V2/operation/getJobBatchStatusV2
+ */
+export async function getBatch(batchUid, projectId, session) {
+    const url = `${BASE_URL}/job-batches-api/v2/projects/${projectId}/batches/${batchUid}`;
+
+    const json = await request(url, {}, "batch status retrieval", session);
+
+    return json["response"]["data"];
+}
+
+/**
+ * Uploads visual context for a file. Returns the context UID to bind strings to.
+ * https://api-reference.smartling.com/#tag/Context/operation/uploadNewVisualContext
+ */
+export async function uploadContext(fileUri, content, projectId, session) {
+    const url = `${BASE_URL}/context-api/v2/projects/${projectId}/contexts`;
 
     const body = new FormData();
     const blob = new Blob([content], { fileType: "text/html" });
     body.set("content", blob, fileUri);
     body.set("name", fileUri);
 
-    // TODO: Switch back to just uploading context, and call context bindings API instead after uploading (new function called from upload.js)
-    // https://api.smartling.com/context-api/v2/projects/{projectId}/bindings
-    body.set(
-        "matchParams",
-        JSON.stringify({
-            translationJobUids: [jobUid],
-        })
+    const json = await request(
+        url,
+        { method: "POST", body: body },
+        `context upload for ${fileUri}`,
+        session
     );
 
-    const response = await fetch(url, {
-        method: "POST",
-        body: body,
-        headers: {
-            Authorization: `Bearer ${accessToken}`,
+    return json["response"]["data"]["contextUid"];
+}
+
+/**
+ * Retrieves all source strings of a file, including their keys and hashcodes.
+ * https://api-reference.smartling.com/#tag/Strings/operation/getAllSourceStringsByProject
+ */
+export async function getSourceStrings(fileUri, projectId, session) {
+    const items = [];
+    let totalCount = Infinity;
+
+    while (items.length < totalCount) {
+        const params = new URLSearchParams({
+            fileUri,
+            offset: items.length,
+            limit: 500,
+        });
+        const url = `${BASE_URL}/strings-api/v2/projects/${projectId}/source-strings?${params}`;
+
+        const json = await request(
+            url,
+            {},
+            `source strings retrieval for ${fileUri}`,
+            session
+        );
+
+        const data = json["response"]["data"];
+        if (data.items.length === 0) break;
+
+        items.push(...data.items);
+        totalCount = data.totalCount;
+    }
+
+    return items;
+}
+
+/**
+ * Binds strings to elements of an uploaded context.
+ * https://api-reference.smartling.com/#tag/Context/operation/createStringToContextBindings
+ */
+export async function createBindings(fileUri, bindings, projectId, session) {
+    const url = `${BASE_URL}/context-api/v2/projects/${projectId}/bindings`;
+
+    await request(
+        url,
+        {
+            method: "POST",
+            body: JSON.stringify({ bindings }),
+            headers: {
+                "Content-Type": "application/json",
+            },
+            idempotent: true,
         },
+        `context bindings for ${fileUri}`,
+        session
+    );
+}
+
+/**
+ * Lists the URIs of the files in the project whose URI contains the mask, e.g., the incremental uploads of a file.
+ * https://api-reference.smartling.com/#tag/Files/operation/getRecentlyUploadedSourceFilesList
+ */
+export async function listFiles(uriMask, projectId, session) {
+    const items = [];
+    let totalCount = Infinity;
+
+    while (items.length < totalCount) {
+        const params = new URLSearchParams({
+            uriMask,
+            offset: items.length,
+            limit: 500,
+        });
+        const url = `${BASE_URL}/files-api/v2/projects/${projectId}/files/list?${params}`;
+
+        const json = await request(
+            url,
+            {},
+            `file list retrieval for ${uriMask}`,
+            session
+        );
+
+        const data = json["response"]["data"];
+        if (data.items.length === 0) break;
+
+        items.push(...data.items);
+        totalCount = data.totalCount;
+    }
+
+    return items.map(item => item.fileUri);
+}
+
+/**
+ * Retrieves the translation progress of a file for each of its locales. Returns null if the file does not exist.
+ * https://api-reference.smartling.com/#tag/Files/operation/getFileTranslationStatusAllLocales
+ */
+export async function getFileStatus(fileUri, projectId, session) {
+    const params = new URLSearchParams({ fileUri });
+    const url = `${BASE_URL}/files-api/v2/projects/${projectId}/file/status?${params}`;
+
+    try {
+        const json = await request(
+            url,
+            {},
+            `status retrieval for ${fileUri}`,
+            session
+        );
+
+        return json["response"]["data"];
+    } catch (error) {
+        if (error instanceof SmartlingError && error.status === 404) {
+            return null;
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Renames an uploaded file. Its strings keep their translations under the new URI.
+ * https://api-reference.smartling.com/#tag/Files/operation/renameUploadedSourceFile
+ */
+export async function renameFile(fileUri, newFileUri, projectId, session) {
+    const url = `${BASE_URL}/files-api/v2/projects/${projectId}/file/rename`;
+
+    const body = new FormData();
+    body.set("fileUri", fileUri);
+    body.set("newFileUri", newFileUri);
+
+    await request(
+        url,
+        { method: "POST", body: body },
+        `rename of ${fileUri}`,
+        session
+    );
+}
+
+/**
+ * Deletes an uploaded file, removing its strings from the project.
+ * https://api-reference.smartling.com/#tag/Files/operation/deleteUploadedSourceFile
+ */
+export async function deleteFile(fileUri, projectId, session) {
+    const url = `${BASE_URL}/files-api/v2/projects/${projectId}/file/delete`;
+
+    const body = new FormData();
+    body.set("fileUri", fileUri);
+
+    await request(
+        url,
+        { method: "POST", body: body },
+        `deletion of ${fileUri}`,
+        session
+    );
+}
+
+/**
+ * Downloads the translated file for a single locale. Untranslated strings are left empty rather than in the source language.
+ * https://api-reference.smartling.com/#tag/Files/operation/downloadTranslatedFileSingleLocale
+ */
+export async function downloadFile(
+    fileUri,
+    locale,
+    retrievalType,
+    projectId,
+    session
+) {
+    const params = new URLSearchParams({
+        fileUri,
+        retrievalType,
+        includeOriginalStrings: false,
     });
+    const url = `${BASE_URL}/files-api/v2/projects/${projectId}/locales/${locale}/file?${params}`;
 
-    await validateResponse(response, `context upload for ${fileUri}`);
+    // Translated file is returned as is, since the uploaded file is JSON
+    return await request(url, {}, `${locale} download for ${fileUri}`, session);
 }
 
 /* Utilities */
 
-async function validateResponse(response, description) {
-    const json = await response.json();
+/**
+ * Sends a request to Smartling, retrying on throttling, server errors and timeouts with exponential backoff.
+ * Requests that are not idempotent, e.g., creating a job, are only retried if Smartling rejected them before processing,
+ * since a timed out request may have succeeded. POST requests that are safe to repeat set `idempotent` in the options.
+ * When a session is given, its access token is refreshed before it expires or if it is rejected.
+ */
+async function request(url, options, description, session) {
+    const { idempotent, ...fetchOptions } = options;
+    const method = options.method ?? "GET";
+    const endpoint = `${method} ${new URL(url).pathname}`;
+    const retryable = idempotent ?? IDEMPOTENT_METHODS.has(method);
+    let renewed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        const headers = { ...options.headers };
+        if (session) {
+            headers["Authorization"] =
+                `Bearer ${await getAccessToken(session)}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, {
+                ...fetchOptions,
+                headers,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+            });
+        } catch (error) {
+            // Network errors and timeouts
+            if (retryable && attempt < MAX_RETRIES) {
+                await backoff(attempt, null, `${endpoint} ${error.message}`);
+                continue;
+            }
+
+            throw new SmartlingError(
+                description,
+                endpoint,
+                null,
+                null,
+                error.cause?.message ?? error.message
+            );
+        }
+
+        // Token may have been revoked before its expiry
+        if (response.status === 401 && session && !renewed) {
+            renewed = true;
+            session.expiresAt = 0;
+            continue;
+        }
+
+        const statuses = retryable ? RETRY_STATUSES : REJECTED_STATUSES;
+        if (statuses.has(response.status) && attempt < MAX_RETRIES) {
+            await backoff(
+                attempt,
+                response.headers.get("Retry-After"),
+                `${endpoint} ${response.status}`
+            );
+            continue;
+        }
+
+        return await validateResponse(response, description, endpoint);
+    }
+}
+
+async function backoff(attempt, retryAfter, reason) {
+    let delay = RETRY_BASE_DELAY * 2 ** attempt * (1 + Math.random());
+
+    // Retry-After is either a number of seconds or an HTTP date, capped so a server cannot stall the run
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const requested = isNaN(seconds)
+            ? Date.parse(retryAfter) - Date.now()
+            : seconds * 1000;
+
+        if (!isNaN(requested)) {
+            delay = Math.min(Math.max(0, requested), MAX_RETRY_DELAY);
+        }
+    }
+
+    console.log(`Retrying in ${Math.round(delay / 1000)}s (${reason})`);
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+}
+
+async function getAccessToken(session) {
+    if (Date.now() >= session.expiresAt - TOKEN_EXPIRY_MARGIN) {
+        // Share a single renewal between concurrent requests
+        session.renewal ??= renewSession(
+            session,
+            Date.now() < session.refreshExpiresAt - TOKEN_EXPIRY_MARGIN
+        ).finally(() => (session.renewal = null));
+
+        await session.renewal;
+    }
+
+    return session.accessToken;
+}
+
+/**
+ * Retrieves a new access token, using the refresh token if possible and the user credentials otherwise.
+ * https://api-reference.smartling.com/#tag/Authentication/operation/refreshAccessToken
+ */
+async function renewSession(session, refresh) {
+    const url = refresh
+        ? `${BASE_URL}/auth-api/v2/authenticate/refresh`
+        : `${BASE_URL}/auth-api/v2/authenticate`;
+    const body = refresh
+        ? { refreshToken: session.refreshToken }
+        : { userIdentifier: session.userId, userSecret: session.userSecret };
+
+    const json = await request(
+        url,
+        {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(body),
+            idempotent: true,
+        },
+        refresh
+            ? "access token refresh with Smartling"
+            : "authentication with Smartling"
+    );
+
+    const data = json["response"]["data"];
+    const now = Date.now();
+
+    session.accessToken = data.accessToken;
+    session.refreshToken = data.refreshToken;
+    session.expiresAt = now + data.expiresIn * 1000;
+    session.refreshExpiresAt = now + data.refreshExpiresIn * 1000;
+}
+
+async function validateResponse(response, description, endpoint) {
+    const text = await response.text();
+
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        // Handled below, e.g., HTML error pages from a proxy
+    }
+
     if (response.status < 200 || response.status > 299) {
-        const message = json["response"]["errors"][0].message;
-        throw new Error(
-            `Failed ${description}: ${message} (${response.status})`
+        const errors = json?.response?.errors ?? [];
+        const key = errors[0]?.key ?? json?.response?.code;
+        const message =
+            errors.map(error => error.message).join("; ") ||
+            text.slice(0, 200) ||
+            response.statusText;
+
+        throw new SmartlingError(
+            description,
+            endpoint,
+            response.status,
+            key,
+            message
         );
-    } else {
-        console.log(`✅ Successful ${description}`);
     }
 
+    if (json == null) {
+        throw new SmartlingError(
+            description,
+            endpoint,
+            response.status,
+            null,
+            "Response is not valid JSON"
+        );
+    }
+
+    console.log(`✅ Successful ${description}`);
+
     return json;
 }
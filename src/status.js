@@ -0,0 +1,76 @@
+import { getInput } from "@actions/core";
+import { getProvider } from "./providers/index.js";
+
+const STATUS_POLL_INTERVAL = 60 * 1000;
+
+/**
+ * Reports the translation progress of a job per file and locale. With a wait timeout, polls until the job reaches the
+ * threshold percentage or the timeout expires. Fails below the threshold if fail-below-threshold is set.
+ */
+export async function checkStatus() {
+    const threshold = Number(getInput("threshold") || 100);
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+        throw new Error(
+            `Invalid threshold "${getInput("threshold")}". Expected a percentage from 0 to 100`
+        );
+    }
+
+    const waitTimeout = Number(getInput("wait-timeout") || 0);
+    if (isNaN(waitTimeout) || waitTimeout < 0) {
+        throw new Error(
+            `Invalid wait timeout "${getInput("wait-timeout")}". Expected a number of minutes`
+        );
+    }
+
+    const provider = getProvider();
+    if (provider.fetchStatus == null) {
+        throw new Error(
+            `The ${getInput("provider") || "smartling"} provider does not support the status action`
+        );
+    }
+
+    const jobUid = getInput("job-uid");
+    const deadline = Date.now() + waitTimeout * 60 * 1000;
+
+    let status = await provider.fetchStatus(jobUid);
+    logStatus(status);
+
+    while (
+        status.percentComplete < threshold &&
+        Date.now() + STATUS_POLL_INTERVAL <= deadline
+    ) {
+        console.log(`Waiting for the job to reach ${threshold}%...\n`);
+        await new Promise(resolve => setTimeout(resolve, STATUS_POLL_INTERVAL));
+
+        // Reuse the job found on the first check
+        status = await provider.fetchStatus(status.jobUid);
+        logStatus(status);
+    }
+
+    status.thresholdReached = status.percentComplete >= threshold;
+
+    if (
+        !status.thresholdReached &&
+        getInput("fail-below-threshold") === "true"
+    ) {
+        throw new Error(
+            `Job "${status.name}" is ${status.percentComplete}% complete, below the threshold of ${threshold}%`
+        );
+    }
+
+    return status;
+}
+
+function logStatus({ name, status, percentComplete, files }) {
+    console.log(`Job "${name}" (${status}): ${percentComplete}% complete\n`);
+
+    for (const { fileUri, locale, completed, total } of files) {
+        const percent =
+            total === 0 ? 100 : Math.floor((completed / total) * 100);
+        console.log(
+            `> ${fileUri} (${locale}): ${completed}/${total} strings (${percent}%)`
+        );
+    }
+
+    console.log("");
+}
@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+
+import { commitFiles } from "./commit.js";
+import { getConfig } from "./config.js";
+import { listMovedFiles } from "./files.js";
+import { createManifestFile, readManifest } from "./manifest.js";
+import { isLocalizablePath, localizePath } from "./paths.js";
+import { getProvider } from "./providers/index.js";
+import { isDryRun } from "./utils.js";
+
+/**
+ * Follows the source files removed or renamed in the pull request. Their files in the translation provider are deleted or
+ * renamed, keeping translations across renames, and their localized files and manifest entries are removed or moved in
+ * a commit to the pull request branch.
+ */
+export async function syncMovedFiles() {
+    const { removed, renamed } = await listMovedFiles();
+    if (removed.length === 0 && renamed.length === 0) return;
+
+    console.log(
+        `--- ${renamed.length} renamed, ${removed.length} removed source file(s) ---\n`
+    );
+
+    if (isDryRun()) {
+        renamed.forEach(({ from, to }) =>
+            console.log(`> Would rename ${from} to ${to}`)
+        );
+        removed.forEach(filePath => console.log(`> Would remove ${filePath}`));
+        console.log("");
+        return;
+    }
+
+    const { targetLocales } = getConfig();
+    const provider = getProvider();
+    const manifest = readManifest();
+
+    // Localized files to be committed, where a null content deletes the file
+    const files = [];
+
+    // Files outside of a source locale directory, e.g., README.md when include is empty, have no localized files to move
+    const isLocalizable = (...filePaths) => {
+        const skipped = filePaths.find(
+            filePath => !isLocalizablePath(filePath)
+        );
+        if (skipped == null) return true;
+
+        console.warn(
+            `> Skipped localized files of ${filePaths[0]}: ${skipped} is not in a source locale directory`
+        );
+        return false;
+    };
+
+    for (const { from, to } of renamed) {
+        await provider.renameFile(from, to);
+
+        for (const locale of isLocalizable(from, to) ? targetLocales : []) {
+            const localizedPath = localizePath(from, locale);
+            if (!fs.existsSync(localizedPath)) continue;
+
+            const newPath = localizePath(to, locale);
+            files.push(
+                {
+                    path: newPath,
+                    content: fs.readFileSync(localizedPath, "utf-8"),
+                },
+                { path: localizedPath, content: null }
+            );
+
+            fs.mkdirSync(path.dirname(newPath), { recursive: true });
+            fs.renameSync(localizedPath, newPath);
+            console.log(`> Moved ${localizedPath} to ${newPath}`);
+        }
+
+        if (manifest[from]) {
+            manifest[to] = manifest[from];
+            delete manifest[from];
+        }
+    }
+
+    for (const filePath of removed) {
+        await provider.deleteFile(filePath);
+
+        for (const locale of isLocalizable(filePath) ? targetLocales : []) {
+            const localizedPath = localizePath(filePath, locale);
+            if (!fs.existsSync(localizedPath)) continue;
+
+            files.push({ path: localizedPath, content: null });
+
+            fs.rmSync(localizedPath);
+            console.log(`> Removed ${localizedPath}`);
+        }
+
+        delete manifest[filePath];
+    }
+
+    console.log("");
+
+    if (files.length === 0) return;
+
+    const manifestFile = createManifestFile(manifest);
+    fs.writeFileSync(manifestFile.path, manifestFile.content);
+
+    await commitFiles(
+        [...files, manifestFile],
+        `Move localized files of ${renamed.length} renamed and ${removed.length} removed file(s)`
+    );
+}
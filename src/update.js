@@ -1,7 +1,117 @@
-import { context } from "@actions/github";
+import fs from "fs";
+import path from "path";
 
-export async function updateFiles() {
-    // https://docs.github.com/en/webhooks/webhook-events-and-payloads#pull_request
-    const pr = context.payload.pull_request;
-    // TODO: for each file in pr (they will be JSON), apply changes and commit
+import { getInput } from "@actions/core";
+import { commitFiles } from "./commit.js";
+import { getConfig } from "./config.js";
+import {
+    createManifestFile,
+    readManifest,
+    recordTranslations,
+} from "./manifest.js";
+import { extractStrings, isTranslatable } from "./upload.js";
+import {
+    TRANSLATIONS_DIR_PATH,
+    createMDXProcessor,
+    localizeContent,
+} from "./utils.js";
+import { localizePath } from "./paths.js";
+import { reportValidation, validateLocalizedFile } from "./validate.js";
+
+/**
+ * Applies translated JSON to the source files and commits the localized files to the pull request branch.
+ * Translations are matched to the current strings of each file by ID, so they apply even if the file changed since upload.
+ * Localized files are validated against their source before being written, and the strings translated are recorded in
+ * the manifest, which is committed with them.
+ */
+export async function updateFiles(filePaths) {
+    const mdxProcessor = createMDXProcessor();
+    const translationsDir =
+        getInput("translations-dir") || TRANSLATIONS_DIR_PATH;
+    const { targetLocales } = getConfig();
+    const manifest = readManifest();
+
+    // Localized files to be committed
+    const files = [];
+
+    for (const filePath of filePaths) {
+        const content = fs.readFileSync(filePath, "utf-8");
+
+        console.log(`--- ${filePath} ---\n`);
+
+        const strings = extractStrings(
+            mdxProcessor.parse(content),
+            mdxProcessor
+        );
+
+        for (const locale of targetLocales) {
+            // Translated JSON mirrors the source file path, e.g., translations/ja-JP/docs/en/intro.mdx.json
+            const translationPath = path.join(
+                translationsDir,
+                locale,
+                `${filePath}.json`
+            );
+
+            if (!fs.existsSync(translationPath)) {
+                console.log(`> ${locale}: no translation found\n`);
+                continue;
+            }
+
+            const json = JSON.parse(fs.readFileSync(translationPath, "utf-8"));
+            // Untranslated strings are downloaded empty
+            const translations = new Map(
+                json.strings
+                    .filter(string => string.text)
+                    .map(string => [string.id, string.text])
+            );
+
+            const outputPath = localizePath(filePath, locale);
+            const { content: localized, untranslated } = localizeContent(
+                content,
+                strings,
+                string => translations.get(string.id),
+                locale
+            );
+
+            console.log(
+                `> ${locale}: ${outputPath} (${untranslated} untranslated string(s))\n`
+            );
+
+            recordTranslations(
+                manifest,
+                filePath,
+                locale,
+                strings.filter(isTranslatable),
+                string => translations.has(string.id)
+            );
+
+            files.push({
+                path: outputPath,
+                locale: locale,
+                content: localized,
+                errors: validateLocalizedFile(content, localized, mdxProcessor),
+            });
+        }
+    }
+
+    // Invalid files are neither written nor committed, unless validation only warns
+    reportValidation(files);
+
+    for (const file of files) {
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        fs.writeFileSync(file.path, file.content);
+    }
+
+    if (files.length === 0) {
+        console.log("No localized files to commit");
+        return;
+    }
+
+    const manifestFile = createManifestFile(manifest);
+    fs.writeFileSync(manifestFile.path, manifestFile.content);
+
+    await commitFiles(
+        [...files, manifestFile],
+        `Update ${files.length} localized file(s)`
+    );
 }
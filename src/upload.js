@@ -1,33 +1,38 @@
 import fs from "fs";
-import path from "path";
 
 import { getInput } from "@actions/core";
-import {
-    authenticate,
-    createBatch,
-    createJob,
-    uploadContext,
-    uploadFileToBatch,
-} from "./smartling.js";
+import * as github from "@actions/github";
+import { getProvider } from "./providers/index.js";
+import { createPayload } from "./providers/smartling.js";
+import { getConfig } from "./config.js";
+import { diffStrings, readRevision } from "./diff.js";
+import { parseFrontmatter } from "./frontmatter.js";
+import { applyGlossary } from "./glossary.js";
+import { isResolvableUrl, localizeImport, localizeUrl } from "./paths.js";
+import { summarizeFile } from "./report.js";
 import {
     DEBUG,
-    DEFAULT_LOCALE,
-    applyChanges,
     chomp,
     createHTMLProcessor,
     createMDXProcessor,
-    createPlaceholder,
-    handleError,
-    shortLocale,
-    todo,
+    createStringPlaceholder,
+    getArtifactsDir,
+    hashText,
+    incrementalFileUri,
+    staleFileUri,
+    isDryRun,
+    protectMarkup,
+    writeArtifact,
 } from "./utils.js";
 
 // AST nodes that appear at the top level of document that should be parsed for localization
-// TODO: image alt text is not parsed separately (do we want to?)
 const TOP_LEVEL_NODE_TYPES = new Set([
     "containerDirective",
+    "defList",
+    "definition",
     "heading",
     "image",
+    "leafDirective",
     "list",
     "mdxJsxFlowElement",
     "paragraph",
@@ -35,150 +40,279 @@ const TOP_LEVEL_NODE_TYPES = new Set([
 ]);
 
 /**
- * Uploads file contents as JSON to be localized
+ * Extracts the strings of each file and uploads them with their visual context to the translation provider.
+ * Returns the report of the run, listing the strings of each file, the job they were uploaded to and the files that failed.
+ * With `selectedIds`, which maps file paths to string IDs, only those strings are uploaded, e.g., stale translations.
  */
-export async function uploadFiles(filePaths) {
+export async function uploadFiles(filePaths, selectedIds = null) {
     const mdxProcessor = createMDXProcessor();
     const htmlProcessor = createHTMLProcessor();
 
-    // Map fileUri (from filePaths) to corresponding data
+    // Only upload strings that are new or changed compared to the base of the pull request
+    const incremental = getInput("incremental") === "true";
+    const pr = github.context.payload.pull_request;
+    if (incremental && pr == null) {
+        throw new Error("Incremental uploads require a pull_request event");
+    }
+
+    // Map fileUri to corresponding data
     const data = {};
 
     for (const filePath of filePaths) {
         const content = fs.readFileSync(filePath, "utf-8");
-        let ast = mdxProcessor.parse(content); // TODO: Inject IDs to every root-level node
+        let ast = mdxProcessor.parse(content);
 
         if (DEBUG) {
-            if (!fs.existsSync("debug")) {
-                fs.mkdirSync("debug");
-            }
-
-            const basename = path.basename(filePath);
-            fs.writeFileSync(
-                `debug/ast-${basename}.json`,
-                JSON.stringify(ast, null, 4),
-                handleError
-            );
+            writeArtifact(filePath, "ast.json", JSON.stringify(ast, null, 4));
         }
 
         console.log(`--- ${filePath} ---\n`);
 
+        // Before extraction, which modifies the AST
+        const skipped = findSkippedNodes(ast);
+        const unresolvedLinks = findUnresolvedLinks(ast);
+
         // Create list of localization changes
-        const strings = [
-            ...parseFrontmatter(ast),
-            ...parseImports(ast),
-            ...parseContent(ast, mdxProcessor),
-        ];
-
-        const body = {
-            smartling: {
-                translate_paths: [
-                    {
-                        path: "/strings/text",
-                        key: "/strings/start", // TODO: Choose better key?
-                        instruction: "/strings/notes",
-                        key_generation_strategy: "strict",
-                    },
-                ],
-                variants_enabled: "false",
-            },
-            strings: strings,
-        };
+        let strings = extractStrings(ast, mdxProcessor).filter(isTranslatable);
+        let fileUri = filePath;
+
+        if (selectedIds) {
+            const ids = selectedIds.get(filePath);
+            strings = strings.filter(string => ids?.has(string.id));
+
+            if (strings.length === 0) continue;
+
+            // Uploaded separately so the file's full upload keeps its existing strings
+            fileUri = staleFileUri(filePath);
+        } else if (incremental) {
+            const baseContent = readRevision(filePath, pr.base.sha);
+
+            // New files have no full upload to keep, so all their strings are uploaded under their own URI
+            if (baseContent == null) {
+                console.log(`> New file since ${pr.base.sha.slice(0, 7)}\n`);
+            } else {
+                strings = filterChangedStrings(
+                    baseContent,
+                    strings,
+                    pr.base.sha,
+                    mdxProcessor
+                );
+
+                if (strings.length === 0) {
+                    console.log("No new or changed strings, skipping file\n");
+                    continue;
+                }
 
-        // TODO: Inject IDs associated with each string into the HTML and each change (start from MD AST?) so visual context elements maps precisely to the strings
-        const context = await htmlProcessor.process(content);
+                // Uploaded separately so the file's full upload keeps its existing strings
+                fileUri = incrementalFileUri(filePath, pr.number);
+            }
+        }
+
+        const context = await htmlProcessor.process({
+            value: content,
+            data: { strings },
+        });
 
-        data[filePath] = {
-            json: JSON.stringify(body),
+        data[fileUri] = {
+            strings: strings,
             context: context.value,
+            skipped: skipped,
+            unresolvedLinks: unresolvedLinks,
         };
     }
 
-    // Send to Smartling
-    try {
-        const projectId = getInput("smartling-project-id", { required: true });
-        const userId = getInput("smartling-user-id", { required: true });
-        const userSecret = getInput("smartling-user-secret", {
-            required: true,
-        });
+    const fileUris = Object.keys(data);
+    const report = {
+        files: fileUris.map(fileUri => summarizeFile(fileUri, data[fileUri])),
+        job: null,
+        failed: [],
+        contextFailed: [],
+        dryRun: isDryRun(),
+    };
+
+    if (fileUris.length === 0) {
+        console.log("No strings to upload");
+        return report;
+    }
 
-        const accessToken = await authenticate(userId, userSecret);
-        const jobUid = await createJob("test", projectId, accessToken); // TODO: Name job based on commit
+    if (report.dryRun) {
+        for (const fileUri of fileUris) {
+            writeArtifacts(fileUri, data[fileUri]);
+        }
 
-        const fileUris = Object.keys(data);
-        const batchUid = await createBatch(
-            fileUris,
-            jobUid,
-            projectId,
-            accessToken
+        console.log(
+            `Dry run: wrote artifacts for ${fileUris.length} file(s) to ${getArtifactsDir()}`
         );
-        const encoder = new TextEncoder();
-
-        // When all files are uploaded, Smartling automatically executes the batch
-        for (const fileUri of filePaths) {
-            const { json, context } = data[fileUri];
-
-            // Upload JSON
-            await uploadFileToBatch(
-                encoder.encode(json),
-                fileUri,
-                batchUid,
-                projectId,
-                accessToken
-            );
+        return report;
+    }
+
+    const files = fileUris.map(fileUri => ({ fileUri, ...data[fileUri] }));
+
+    // Errors of the provider, e.g., failed authentication, fail the run before the report and outputs are published
+    const provider = getProvider();
+
+    report.job = await provider.uploadStrings(files);
+    report.contextFailed =
+        (await provider.attachContext(files, report.job)) ?? [];
+
+    // Other files are uploaded regardless of the files that failed
+    report.failed = report.job?.failed ?? [];
+
+    // Their strings were uploaded, so they are still listed as uploaded
+    if (report.contextFailed.length > 0) {
+        console.warn(
+            `Failed to attach visual context to ${report.contextFailed.length} file(s):`
+        );
+        report.contextFailed.forEach(({ fileUri, error }) =>
+            console.warn(`> ${fileUri}: ${error}`)
+        );
+    }
+
+    if (report.failed.length > 0) {
+        console.warn(`Failed to upload ${report.failed.length} file(s):`);
+        report.failed.forEach(({ fileUri, error }) =>
+            console.warn(`> ${fileUri}: ${error}`)
+        );
+
+        // Failed files are listed separately, and left out of the uploaded files in the report and outputs
+        const failedUris = new Set(report.failed.map(file => file.fileUri));
+        report.files = report.files.filter(
+            file => !failedUris.has(file.fileUri)
+        );
+    }
+
+    return report;
+}
 
-            // Upload visual context
-            await uploadContext(
-                fileUri,
-                encoder.encode(context),
-                jobUid,
-                projectId,
-                accessToken
+/**
+ * Writes the Smartling JSON payload, HTML visual context and a readable list of the strings of a file
+ */
+function writeArtifacts(fileUri, { strings, context }) {
+    const list = strings
+        .map(
+            string =>
+                `[${string.id}] ${string.start}-${string.end}${string.notes ? ` (${string.notes})` : ""}\n${string.text}\n`
+        )
+        .join("\n");
+
+    writeArtifact(
+        fileUri,
+        "json",
+        JSON.stringify(createPayload(strings), null, 4)
+    );
+    writeArtifact(fileUri, "html", context);
+    const listPath = writeArtifact(fileUri, "txt", list);
+
+    console.log(`> ${listPath}`);
+}
+
+/**
+ * Extracts the strings to be localized from the AST of a file, in order of appearance.
+ * Inline markup within content and glossary terms are swapped for placeholders, restored when translations are applied.
+ */
+export function extractStrings(ast, processor) {
+    return assignIds([
+        ...parseFrontmatter(ast).map(applyGlossary),
+        ...parseImports(ast),
+        ...parseContent(ast, processor).map(protectMarkup).map(applyGlossary),
+    ]);
+}
+
+// Top-level nodes that are not extracted, e.g., code blocks, and components not declared in the config
+function findSkippedNodes(ast) {
+    const { components } = getConfig();
+
+    const skipped = ast.children
+        .filter(
+            node =>
+                !TOP_LEVEL_NODE_TYPES.has(node.type) &&
+                node.type !== "yaml" &&
+                node.type !== "mdxjsEsm"
+        )
+        .map(node => node.type);
+
+    const visit = node => {
+        if (
+            node.type === "mdxJsxFlowElement" &&
+            node.name &&
+            components[node.name] == null
+        ) {
+            skipped.push(`<${node.name}>`);
+        }
+
+        node.children?.forEach(visit);
+    };
+    visit(ast);
+
+    return skipped;
+}
+
+// Internal links of the source locale that do not lead to a source file, which are reported with a warning
+function findUnresolvedLinks(ast) {
+    const unresolved = [];
+
+    const visit = node => {
+        if (
+            (node.type === "link" || node.type === "definition") &&
+            !isResolvableUrl(node.url)
+        ) {
+            console.warn(
+                `> Unresolved link ${node.url} (line ${node.position.start.line})`
             );
+            unresolved.push(node.url);
         }
-    } catch (error) {
-        handleError(error);
-    }
+
+        node.children?.forEach(visit);
+    };
+    visit(ast);
+
+    return unresolved;
 }
 
-/* AST Parsing */
+/**
+ * Returns the strings that were added or changed since the base revision, logging a summary of the differences
+ */
+function filterChangedStrings(baseContent, strings, baseSha, processor) {
+    const baseStrings = extractStrings(
+        processor.parse(baseContent),
+        processor
+    ).filter(isTranslatable);
 
-function parseFrontmatter(ast) {
-    console.log("Parsing frontmatter...\n");
+    const { added, changed, removed } = diffStrings(baseStrings, strings);
 
-    const frontmatter = ast.children.find(node => node.type === "yaml");
-    if (frontmatter == null) {
-        console.log("No frontmatter data found\n");
-        return [];
-    }
+    console.log(
+        `> ${added.length} added, ${changed.length} changed, ${removed.length} removed string(s) since ${baseSha.slice(0, 7)}\n`
+    );
 
-    const regex = /(title:\s*)(.+)(?:\n|$)/;
-    const match = regex.exec(frontmatter.value);
-    if (match == null || match.length < 3) {
-        console.log("No title found in frontmatter\n");
-        return [];
-    }
+    const ids = new Set([...added, ...changed].map(string => string.id));
 
-    const title = match[2];
+    return strings.filter(string => ids.has(string.id));
+}
 
-    console.log(`> title: ${title}\n`);
+// Strings made up only of markup and embedded strings are applied on update, but not sent for translation
+export function isTranslatable(string) {
+    return string.translate !== false;
+}
 
-    // Calculate start/end offsets. The AST does not include the divider in it's start position calculation
-    const divider = "---\n";
-    const startOffset = divider.length + match.index + match[1].length;
-    const endOffset = startOffset + title.length;
+/**
+ * Assigns each string an ID derived from its text, so its key in Smartling survives edits elsewhere in the file.
+ * Repeated strings are numbered in order of appearance. Offsets are kept separately for applying changes.
+ */
+function assignIds(strings) {
+    const occurrences = {};
+
+    for (const string of strings) {
+        const hash = hashText(string.text);
+        occurrences[hash] = (occurrences[hash] ?? 0) + 1;
+        string.id =
+            occurrences[hash] === 1 ? hash : `${hash}-${occurrences[hash]}`;
+    }
 
-    return [
-        {
-            type: "title",
-            text: title,
-            notes: "title for document",
-            start: frontmatter.position.start.offset + startOffset,
-            end: frontmatter.position.start.offset + endOffset,
-        },
-    ];
+    return strings;
 }
 
+/* AST Parsing */
+
 function parseImports(ast) {
     console.log("Parsing imports...\n");
 
@@ -187,19 +321,23 @@ function parseImports(ast) {
         .flatMap(node =>
             node.data.estree.body.map(child => {
                 if (child.type === "ImportDeclaration") {
-                    const original = child.source.raw;
-                    const localized = localizeUrl(original);
+                    const original = child.source.value;
+                    const localized = localizeImport(original);
 
                     // No localization required for import, skip change
                     if (original === localized) return null;
 
                     console.log(`> ${localized}`);
 
+                    // Paths are applied on update, but not translated
+                    const quote = child.source.raw[0];
+
                     return {
                         type: "Import",
-                        text: localized,
+                        text: `${quote}${localized}${quote}`,
                         start: child.source.start,
                         end: child.source.end,
+                        translate: false,
                     };
                 }
             })
@@ -231,6 +369,7 @@ function parseContent(ast, processor) {
 /**
  * Recursive function for flattening AST Markdown hierarchies into localization change(s).
  * Specific node types will be unmodified (text), processed (links), or processed into a localization change (paragraph).
+ * Text within inline nodes, e.g., link titles, is embedded into the containing change as a separate string.
  * Modifies the `changes` parameter in-place.
  */
 function parseNode(node, changes, processor, root = false) {
@@ -238,64 +377,127 @@ function parseNode(node, changes, processor, root = false) {
 
     if (type === "link") {
         node.url = localizeUrl(node.url);
-    } else if (
-        // type === "mdxJsxTextElement" || // JSX element that appears within text chunk
-        type === "mdxJsxFlowElement" // JSX element that appears alone in document
-    ) {
-        if (node.name === "RelativeLink") {
-            parseAttribute("title", node, changes);
-        } else if (node.name === "AccordionItem") {
-            parseAttribute("title", node, changes);
-            parseChildrenAsRoot(node, changes, processor);
-        }
+        parseTitle(node, changes);
+        parseInlineChildren(node, changes, processor);
     } else if (type === "image") {
-        // TODO: localize URL?
+        node.url = localizeUrl(node.url);
+
+        if (node.alt) {
+            node.alt = embedString(
+                node,
+                node.alt,
+                "alt text for image",
+                changes
+            );
+        }
+        parseTitle(node, changes);
+    } else if (type === "emphasis" || type === "strong" || type === "delete") {
+        parseInlineChildren(node, changes, processor);
+    } else if (type === "mdxJsxTextElement") {
+        // JSX element that appears within text chunk
+        parseInlineComponent(node, changes, processor);
+    } else if (type === "mdxJsxFlowElement") {
+        // JSX element that appears alone in document
+        parseComponent(node, changes, processor);
+    } else if (type === "textDirective") {
+        // Embed the directive label, e.g., :abbr[HTML]
+        if (node.children.length > 0) {
+            const label = parseChildren(node, changes, processor);
+            node.children = [
+                {
+                    type: "text",
+                    value: embedString(
+                        node,
+                        label,
+                        `label for the "${node.name}" directive`,
+                        changes
+                    ),
+                },
+            ];
+        }
     } else if (
         type === "list" ||
         type === "listItem" ||
         type === "table" ||
-        type === "tableRow"
+        type === "tableRow" ||
+        type === "defList"
     ) {
         parseChildrenAsRoot(node, changes, processor);
     } else if (
         type === "heading" ||
         type === "paragraph" ||
-        type === "tableCell"
+        type === "tableCell" ||
+        type === "defListTerm"
     ) {
         const text = parseChildren(node, changes, processor);
 
         if (root) {
-            changes.push({
+            const change = {
                 text: text,
                 start: node.children[0].position.start.offset,
                 end: node.children.slice(-1)[0].position.end.offset,
+                notes:
+                    type === "defListTerm" ? "term in a definition list" : "",
+            };
+
+            // E.g., an image on its own, whose alt text and title are embedded strings
+            if (!hasText(node)) change.translate = false;
+
+            changes.push(change);
+        }
+    } else if (type === "definition") {
+        // Destination of reference-style links, e.g., [intro]: /en/intro/
+        node.url = localizeUrl(node.url);
+        parseTitle(node, changes);
+
+        if (root) {
+            changes.push({
+                type: "definition",
+                text: chomp(processor.stringify(node)),
+                start: node.position.start.offset,
+                end: node.position.end.offset,
                 notes: "",
+                translate: false,
+            });
+        }
+    } else if (type === "defListDescription") {
+        const index = changes.length;
+        parseChildrenAsRoot(node, changes, processor);
+        annotate(changes.slice(index), "definition in a definition list");
+    } else if (type === "leafDirective") {
+        // Extract the directive label if exists, e.g., ::video[Demo]{src="..."}
+        if (node.children.length > 0) {
+            changes.push({
+                type: "leafDirectiveLabel",
+                text: parseChildren(node, changes, processor),
+                start: node.children[0].position.start.offset,
+                end: node.children.slice(-1)[0].position.end.offset,
+                notes: `label for the "${node.name}" directive`,
             });
         }
     } else if (type === "containerDirective") {
         // Extract the directive label if exists, e.g., :::tip[See also]
         const first = node.children[0];
-        if (first.data && first.data.directiveLabel) {
+        if (first?.data?.directiveLabel) {
             changes.push({
                 type: "containerDirectiveLabel",
-                text: first.children[0].value,
-                start: first.position.start.offset + 1, // Omit [
-                end: first.position.end.offset - 1, // Omit ]
+                text: parseChildren(first, changes, processor),
+                start: first.children[0].position.start.offset,
+                end: first.children.slice(-1)[0].position.end.offset,
                 notes: `title for the "${node.name}" callout`,
             });
 
-            // Remove the title child node to create the text
+            // Remove the title child node to parse the content
             node.children.shift();
         }
 
-        const text = parseChildren(node, changes, processor);
-
-        changes.push({
-            text: text,
-            start: node.children[0].position.start.offset,
-            end: node.children.slice(-1)[0].position.end.offset,
-            notes: `content for the "${node.name}" callout`,
-        });
+        // Each block of the content, including nested directives, is a change of its own
+        const index = changes.length;
+        parseChildrenAsRoot(node, changes, processor);
+        annotate(
+            changes.slice(index),
+            `content for the "${node.name}" callout`
+        );
     }
 
     return node;
@@ -306,6 +508,11 @@ function parseChildrenAsRoot(node, changes, processor) {
     node.children.forEach(child => parseNode(child, changes, processor, true));
 }
 
+// Parses the children of inline nodes, which remain part of the text of the containing change
+function parseInlineChildren(node, changes, processor) {
+    node.children.forEach(child => parseNode(child, changes, processor));
+}
+
 function parseChildren(node, changes, processor) {
     if (!node.children) return;
 
@@ -327,25 +534,110 @@ function parseChildren(node, changes, processor) {
     return text;
 }
 
-function parseAttribute(name, node, changes) {
+/**
+ * Extracts text within an inline node as its own string, e.g., a link title, and returns the placeholder
+ * standing in for it in the containing change. The string's offsets are those of the node, for visual context.
+ */
+function embedString(node, text, notes, changes) {
+    changes.push({
+        text: text,
+        start: node.position.start.offset,
+        end: node.position.end.offset,
+        notes: notes,
+        embedded: true,
+    });
+
+    return createStringPlaceholder(text);
+}
+
+function parseTitle(node, changes) {
+    if (node.title) {
+        node.title = embedString(
+            node,
+            node.title,
+            `title for ${node.type}`,
+            changes
+        );
+    }
+}
+
+// Whether any text remains for translators once markup and embedded strings are left out, e.g., not for an image on its own
+function hasText(node) {
+    if (node.type === "text") return node.value.trim() !== "";
+    if (node.type === "inlineCode") return false;
+
+    return node.children?.some(hasText) ?? false;
+}
+
+// Applies the notes to the strings that have none, e.g., to describe the content of a component
+function annotate(strings, notes) {
+    strings
+        .filter(string => !string.notes)
+        .forEach(string => (string.notes = notes));
+}
+
+/**
+ * Parses the translatable attributes and children of a JSX component, as declared in the `components` config
+ */
+function parseComponent(node, changes, processor) {
+    const component = getConfig().components[node.name];
+    if (component == null) {
+        console.warn(
+            `> Skipped unknown component <${node.name}> (line ${node.position.start.line})`
+        );
+        return;
+    }
+
+    for (const [name, notes] of Object.entries(component.attributes ?? {})) {
+        parseAttribute(name, node, changes, notes);
+    }
+
+    if (component.children) {
+        const index = changes.length;
+        parseChildrenAsRoot(node, changes, processor);
+
+        if (component.notes) {
+            annotate(changes.slice(index), component.notes);
+        }
+    }
+}
+
+/**
+ * Inline components are part of the text of the containing change. Their declared attributes are embedded as separate strings.
+ */
+function parseInlineComponent(node, changes, processor) {
+    const component = getConfig().components[node.name];
+    if (component == null) {
+        console.warn(
+            `> Unknown inline component <${node.name}> left in text (line ${node.position.start.line})`
+        );
+    }
+
+    for (const [name, notes] of Object.entries(component?.attributes ?? {})) {
+        const attribute = node.attributes.find(attr => attr.name === name);
+        if (attribute && typeof attribute.value === "string") {
+            attribute.value = embedString(
+                node,
+                attribute.value,
+                notes || `'${name}' attribute for ${node.name}`,
+                changes
+            );
+        }
+    }
+
+    parseInlineChildren(node, changes, processor);
+}
+
+function parseAttribute(name, node, changes, notes) {
     const attribute = node.attributes.find(attr => attr.name === name);
-    if (attribute) {
+    if (attribute && typeof attribute.value === "string") {
         changes.push({
             text: attribute.value,
-            start: attribute.position.start.offset + attribute.name.length + 1,
-            end: attribute.position.end.offset - 1,
-            notes: `'${name}' attribute for ${node.name}`,
+            start: attribute.position.start.offset + attribute.name.length + 2, // Omit ="
+            end: attribute.position.end.offset - 1, // Omit "
+            notes: notes || `'${name}' attribute for ${node.name}`,
         });
     } else {
         console.error(`${node.name} did not contain a ${name} attribute`);
     }
 }
-
-/**
- * Replace locale in URL with placeholder.
- */
-function localizeUrl(url) {
-    const placeholder = createPlaceholder("locale");
-    const locale = shortLocale(DEFAULT_LOCALE);
-    return url.replace(`/${locale}`, `/${placeholder}`);
-}
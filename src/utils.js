@@ -1,4 +1,11 @@
-import { setFailed } from "@actions/core";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { getInput, isDebug, setFailed } from "@actions/core";
+import { getConfig } from "./config.js";
+import { formatYamlValue } from "./frontmatter.js";
+import { getDocumentOptions, renderUnknownNode } from "./render.js";
 
 import { unified } from "unified";
 import remarkDefinitionList from "remark-definition-list";
@@ -13,15 +20,28 @@ import rehypeDocument from "rehype-document";
 import rehypeFormat from "rehype-format";
 import rehypeStringify from "rehype-stringify";
 
-export const DEBUG = true;
+// Enabled by re-running a workflow with debug logging
+export const DEBUG = isDebug();
 export const ARTIFACTS_DIR_PATH = "artifacts/";
-export const LOCALES = {
-    en: "en-US",
-    ja: "ja-JP",
-    zh: "zh-CN",
-    ko: "ko-KR",
-};
-export const DEFAULT_LOCALE = LOCALES.en;
+export const TRANSLATIONS_DIR_PATH = "translations/";
+
+// Inline Markdown and MDX that is swapped for placeholders in the text sent to translators
+const INLINE_MARKUP_PATTERN = new RegExp(
+    [
+        "%%[^%\\s]+%%", // Placeholders, e.g., %%locale%%
+        "``[^`]+``|`[^`]+`", // Inline code
+        "!\\[[^\\]]*\\]\\([^)]*\\)", // Images
+        "\\]\\([^)]*\\)", // Link destinations
+        "\\]\\{[^}]*\\}", // Directive attributes
+        "\\]\\[[^\\]]*\\]", // Reference labels, which must match their definition
+        ":[a-zA-Z][\\w-]*\\[", // Text directive names
+        "\\[|\\]", // Link and directive labels
+        "<[^>]*>", // HTML and JSX tags
+        "\\{[^}]*\\}", // JSX expressions
+        "https?://[^\\s)>\\]]+", // URLs
+        "\\*\\*|\\*|~~", // Emphasis
+    ].join("|")
+);
 
 export function createMDXProcessor() {
     return (
@@ -49,40 +69,219 @@ export function createMDXProcessor() {
     );
 }
 
+/**
+ * Processor for the visual context of a file. Elements containing the strings passed in `file.data.strings` are given anchor IDs.
+ * Components and directives are rendered as on the published site, styled by the stylesheets of the config.
+ */
 export function createHTMLProcessor() {
     return (
         unified()
             .use(remarkMdx)
             .use(remarkParse)
-            .use(remarkRehype, {
-                unknownHandler: (state, node) => {
-                    // TODO: Add custom tagName and properties for UILabel, asides, etc. reflecting final output of Astro site
-                    return {
-                        type: "element",
-                        tagName: "span",
-                        properties: {},
-                        children: state.all(node),
-                    };
-                },
-            })
+            .use(remarkStringAnchors)
+            .use(remarkRehype, { unknownHandler: renderUnknownNode })
             // MDX Plugins
             .use(remarkDefinitionList)
             .use(remarkDirective)
             .use(remarkFrontmatter)
             .use(remarkGfm)
             // MDX -> HTML
-            .use(rehypeDocument)
+            .use(rehypeDocument, getDocumentOptions())
             .use(rehypeFormat)
             .use(rehypeStringify)
     );
 }
 
+// Extract strings without calling Smartling, writing artifacts for review instead
+export function isDryRun() {
+    return getInput("dry-run") === "true";
+}
+
+export function getArtifactsDir() {
+    return getInput("artifacts-dir") || ARTIFACTS_DIR_PATH;
+}
+
+// Writes an artifact for a file, e.g., artifacts/docs/en/intro.mdx.json
+export function writeArtifact(fileUri, extension, content) {
+    const artifactPath = path.join(
+        getArtifactsDir(),
+        `${fileUri}.${extension}`
+    );
+
+    fs.mkdirSync(path.dirname(artifactPath), { recursive: true });
+    fs.writeFileSync(artifactPath, content);
+
+    return artifactPath;
+}
+
+export function createAnchor(stringId) {
+    return `string-${stringId}`;
+}
+
+// Sets an anchor ID on the innermost node containing each string, so visual context can be bound per string
+function remarkStringAnchors() {
+    return (tree, file) => {
+        const strings = (file.data.strings ?? []).filter(
+            string => string.type !== "frontmatter"
+        );
+
+        // Embedded strings, e.g., image alt text, share the element of their containing string, which is bound first
+        for (const string of [
+            ...strings.filter(string => !string.embedded),
+            ...strings.filter(string => string.embedded),
+        ]) {
+            const node = findContainingNode(tree, string.start, string.end);
+            if (node === tree) continue;
+
+            node.data ??= {};
+            node.data.hProperties ??= {};
+
+            // Strings sharing an element are bound to the first one
+            node.data.hProperties.id ??= createAnchor(string.id);
+        }
+
+        // Frontmatter is not rendered, so its values are shown above the content, as the title and description on the published page
+        const frontmatter = (file.data.strings ?? []).filter(
+            string => string.type === "frontmatter"
+        );
+        if (frontmatter.length === 0) return;
+
+        tree.children.unshift({
+            type: "frontmatter",
+            data: { hProperties: { className: ["frontmatter"] } },
+            children: frontmatter.map(string => ({
+                type: "paragraph",
+                data: { hProperties: { id: createAnchor(string.id) } },
+                children: [
+                    { type: "text", value: restoreMarkup(string.text, string) },
+                ],
+            })),
+        });
+    };
+}
+
+function findContainingNode(node, start, end) {
+    const child = node.children?.find(
+        child =>
+            child.children &&
+            child.position.start.offset <= start &&
+            end <= child.position.end.offset
+    );
+
+    if (child == null) return node;
+
+    // Paragraphs of tight list items are not rendered as elements
+    if (
+        node.type === "listItem" &&
+        !node.spread &&
+        child.type === "paragraph"
+    ) {
+        return node;
+    }
+
+    return findContainingNode(child, start, end);
+}
+
 export function createPlaceholder(value) {
     return `%%${value}%%`;
 }
 
+// Code identifying the locale in paths and URLs, e.g., ja-JP -> ja
 export function shortLocale(locale) {
-    return locale.slice(0, 2);
+    return getConfig().localeCodes[locale] ?? locale.slice(0, 2);
+}
+
+// Placeholder standing in for a string embedded in another, e.g., a link title within a paragraph
+export function createStringPlaceholder(text) {
+    return createPlaceholder(`string:${hashText(text)}`);
+}
+
+/**
+ * Applies the translations of the strings of a file to its content. `translate` returns the translated text of a string, or null.
+ * Embedded strings replace their placeholders in the containing string, falling back to the source text if untranslated.
+ * Returns the localized content and the number of untranslated strings.
+ */
+export function localizeContent(content, strings, translate, locale) {
+    const embedded = new Map();
+    const changes = [];
+    let untranslated = 0;
+
+    for (const string of strings.filter(string => string.embedded)) {
+        const text = translate(string);
+        if (text == null) untranslated++;
+
+        embedded.set(
+            createStringPlaceholder(restoreMarkup(string.text, string)),
+            restoreMarkup(text ?? string.text, string)
+        );
+    }
+
+    for (const string of strings.filter(string => !string.embedded)) {
+        // Strings made up only of markup and embedded strings are not sent for translation
+        const text =
+            string.translate === false ? string.text : translate(string);
+
+        if (text == null) {
+            untranslated++;
+            continue;
+        }
+
+        const resolved = resolvePlaceholders(
+            restoreMarkup(text, string).replace(
+                /%%string:[0-9a-f]+%%/g,
+                placeholder => embedded.get(placeholder) ?? placeholder
+            ),
+            locale
+        );
+
+        changes.push({
+            ...string,
+            text: string.yaml
+                ? formatYamlValue(resolved, string.yaml)
+                : resolved,
+        });
+    }
+
+    return { content: applyChanges(content, changes), untranslated };
+}
+
+/**
+ * Swaps the inline markup of a string for numbered placeholders, e.g., `**Note:** run `npm ci`` -> `%%0%%Note:%%1%% run %%2%%`,
+ * so translators cannot change it. The markup of each placeholder is kept in the string's `placeholders`.
+ */
+export function protectMarkup(string) {
+    const placeholders = [];
+
+    // Adjacent markup, e.g., **[, is a single placeholder
+    const text = string.text.replace(
+        new RegExp(`(?:${INLINE_MARKUP_PATTERN.source})+`, "g"),
+        markup => createPlaceholder(placeholders.push(markup) - 1)
+    );
+
+    if (placeholders.length === 0) return string;
+
+    return { ...string, text: text, placeholders: placeholders };
+}
+
+// Restores the markup of the numbered placeholders and the glossary terms of a string in its translated text
+export function restoreMarkup(text, string) {
+    let result = text;
+
+    for (const term of string.terms ?? []) {
+        result = result.replaceAll(createPlaceholder(term), term);
+    }
+
+    if (string.placeholders == null) return result;
+
+    return result.replace(
+        /%%(\d+)%%/g,
+        (placeholder, index) => string.placeholders[index] ?? placeholder
+    );
+}
+
+// Replaces placeholders inserted during parsing with their values for the given locale
+export function resolvePlaceholders(text, locale) {
+    return text.replaceAll(createPlaceholder("locale"), shortLocale(locale));
 }
 
 export function replaceSubstring(original, change) {
@@ -93,11 +292,63 @@ export function replaceSubstring(original, change) {
         throw new Error(`Invalid indices provided: (${start}, ${end})`);
     }
 
-    const text = !DEBUG
-        ? change.text
-        : change.text.toLocaleUpperCase().replace(/ /g, ".."); // Make the changes more apparent
+    return original.substring(0, start) + change.text + original.substring(end);
+}
+
+// File URI for strings uploaded incrementally from a pull request
+export function incrementalFileUri(fileUri, prNumber) {
+    return `${fileUri}#pr-${prNumber}`;
+}
+
+// File URI for stale strings uploaded again after their source changed
+export function staleFileUri(fileUri) {
+    return `${fileUri}#stale`;
+}
+
+/**
+ * Merges the translations of a file's strings uploaded separately, e.g., under its #stale URI, into those of the file.
+ * Strings of the latter translation take precedence.
+ */
+export function mergeTranslations(translation, other) {
+    if (translation == null) return other;
+
+    // Untranslated strings are empty, and do not replace translations of the former
+    const translated = other.strings.filter(string => string.text);
+    const ids = new Set(translated.map(string => string.id));
 
-    return original.substring(0, start) + text + original.substring(end);
+    return {
+        ...other,
+        strings: [
+            ...translation.strings.filter(string => !ids.has(string.id)),
+            ...translated,
+        ],
+    };
+}
+
+/**
+ * Runs the task for each item, with at most `limit` tasks at once. Returns the results in the order of the items.
+ */
+export async function mapConcurrent(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    await Promise.all(
+        Array.from({ length: Math.min(limit, items.length) }, worker)
+    );
+
+    return results;
+}
+
+// Short content hash used to identify strings independently of their position
+export function hashText(text) {
+    return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
 }
 
 // Removes newline from the end of the string
@@ -111,13 +362,6 @@ export function handleError(error) {
     setFailed(error);
 }
 
-/* Debugging */
-
-export function todo() {
-    console.warn("Not implemented");
-    process.exit(2);
-}
-
 export function applyChanges(content, changes) {
     let result = content;
 
@@ -0,0 +1,131 @@
+import { getInput } from "@actions/core";
+
+const VALIDATION_MODES = ["error", "warn"];
+
+// Markdown and MDX structure that translations must keep intact
+const STRUCTURE = [
+    { label: "link(s)", types: ["link", "linkReference"] },
+    { label: "image(s)", types: ["image", "imageReference"] },
+    { label: "inline code span(s)", types: ["inlineCode"] },
+    { label: "code block(s)", types: ["code"] },
+];
+
+/**
+ * Compares the structure of a localized file with its source, returning a message for each difference.
+ * The localized file must parse, and keep the links, JSX components, code and no unresolved placeholders.
+ */
+export function validateLocalizedFile(source, localized, processor) {
+    let ast;
+    try {
+        ast = processor.parse(localized);
+    } catch (error) {
+        const line = error.line ? ` (line ${error.line})` : "";
+        return [`Invalid MDX: ${error.reason ?? error.message}${line}`];
+    }
+
+    const expected = collectNodes(processor.parse(source));
+    const actual = collectNodes(ast);
+    const errors = [];
+
+    for (const { label, types } of STRUCTURE) {
+        const count = nodes =>
+            nodes.filter(node => types.includes(node.type)).length;
+        const before = count(expected);
+        const after = count(actual);
+
+        if (before !== after) {
+            errors.push(`Expected ${before} ${label}, found ${after}`);
+        }
+    }
+
+    const components = nodes =>
+        nodes
+            .filter(node => node.type.startsWith("mdxJsx"))
+            .map(node => `<${node.name ?? ""}>`);
+
+    for (const difference of compareLists(
+        components(expected),
+        components(actual)
+    )) {
+        errors.push(`JSX component ${difference}`);
+    }
+
+    // Code blocks are not translated, so they must be identical
+    const code = nodes => nodes.filter(node => node.type === "code");
+    const sourceCode = code(expected);
+
+    code(actual).forEach((node, index) => {
+        if (
+            index < sourceCode.length &&
+            node.value !== sourceCode[index].value
+        ) {
+            errors.push(
+                `Code block on line ${node.position.start.line} differs from the source`
+            );
+        }
+    });
+
+    for (const [placeholder] of localized.matchAll(/%%[^%\n]+%%/g)) {
+        errors.push(`Unresolved placeholder ${placeholder}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Logs the errors of each localized file (`{ path, locale, errors }`).
+ * Fails if any file is invalid, unless the validation input is "warn".
+ */
+export function reportValidation(results) {
+    const mode = getInput("validation") || "error";
+    if (!VALIDATION_MODES.includes(mode)) {
+        throw new Error(
+            `Unrecognized validation mode "${mode}". Expected one of: ${VALIDATION_MODES.join(", ")}`
+        );
+    }
+
+    const invalid = results.filter(result => result.errors.length > 0);
+    if (invalid.length === 0) {
+        console.log(`${results.length} localized file(s) passed validation\n`);
+        return;
+    }
+
+    const log = mode === "warn" ? console.warn : console.error;
+
+    log(`Validation errors in ${invalid.length} localized file(s):\n`);
+    for (const { path, locale, errors } of invalid) {
+        log(`> ${path} (${locale})`);
+        errors.forEach(error => log(`  - ${error}`));
+        log("");
+    }
+
+    if (mode === "error") {
+        throw new Error(
+            `${invalid.length} localized file(s) failed validation`
+        );
+    }
+}
+
+function collectNodes(node, nodes = []) {
+    nodes.push(node);
+    node.children?.forEach(child => collectNodes(child, nodes));
+
+    return nodes;
+}
+
+// Describes the items missing from or added to a list, e.g., "<Aside> missing"
+function compareLists(expected, actual) {
+    const remaining = [...actual];
+    const differences = [];
+
+    for (const item of expected) {
+        const index = remaining.indexOf(item);
+        if (index === -1) {
+            differences.push(`${item} missing`);
+        } else {
+            remaining.splice(index, 1);
+        }
+    }
+
+    return [...differences, ...remaining.map(item => `${item} added`)];
+}